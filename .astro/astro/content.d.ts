@@ -148,6 +148,13 @@ declare module 'astro:content' {
   collection: "library";
   data: InferEntrySchema<"library">
 } & { render(): Render[".md"] };
+"example-film.md": {
+	id: "example-film.md";
+  slug: "example-film";
+  body: string;
+  collection: "library";
+  data: InferEntrySchema<"library">
+} & { render(): Render[".md"] };
 "example-video.md": {
 	id: "example-video.md";
   slug: "example-video";
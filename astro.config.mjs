@@ -1,11 +1,61 @@
 import { defineConfig } from 'astro/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { slug as githubSlug } from 'github-slugger';
+import { rehypeHeadingIds } from '@astrojs/markdown-remark';
+import rehypeHeadingAnchors from './src/plugins/rehype-heading-anchors.mjs';
+import rehypePostImages from './src/plugins/rehype-post-images.mjs';
 
 import tailwind from '@astrojs/tailwind';
 
 import sitemap from '@astrojs/sitemap';
 
+// Unlisted posts are built at their URL but must not show up in the sitemap.
+// The sitemap integration runs outside of content collections, so read the frontmatter directly
+// and derive the slug the same way Astro does (github-slugger, or an explicit `slug:`).
+function getUnlistedPostPaths() {
+  const postsDir = path.resolve('./src/content/posts');
+  return fs.readdirSync(postsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .flatMap((entry) => {
+      const file = path.join(postsDir, entry.name, 'index.md');
+      if (!fs.existsSync(file)) return [];
+      const frontmatter = fs.readFileSync(file, 'utf-8').match(/^---\n([\s\S]*?)\n---/)?.[1] || '';
+      if (!/^unlisted:\s*true\s*$/m.test(frontmatter)) return [];
+      const explicitSlug = frontmatter.match(/^slug:\s*["']?(.+?)["']?\s*$/m)?.[1];
+      // English posts live under /en/ (see localizePath in src/utils/i18n.ts)
+      const prefix = /^lang:\s*["']?en["']?\s*$/m.test(frontmatter) ? '/en' : '';
+      return [`${prefix}/posts/${explicitSlug || githubSlug(entry.name)}/`];
+    });
+}
+
+const unlistedPaths = getUnlistedPostPaths();
+
+// Private pages (noindex) that shouldn't be announced either
+const privatePaths = ['/stats/'];
+
 // https://astro.build/config
 export default defineConfig({
   site: 'https://kangyuan-blog.vercel.app', // TODO: Update with actual domain
-  integrations: [tailwind(), sitemap()]
-});
\ No newline at end of file
+  // Chinese at the root, English under /en/; keep in sync with LOCALES in src/utils/i18n.ts
+  i18n: {
+    defaultLocale: 'zh-CN',
+    locales: ['zh-CN', 'en'],
+    routing: { prefixDefaultLocale: false },
+  },
+  markdown: {
+    // Heading ids must exist before the anchor links are appended
+    rehypePlugins: [
+      rehypeHeadingIds,
+      rehypeHeadingAnchors,
+      // Must stay a user plugin: Astro's image step runs after these and picks up its props
+      rehypePostImages,
+    ],
+  },
+  integrations: [
+    tailwind(),
+    sitemap({
+      filter: (page) => ![...unlistedPaths, ...privatePaths].includes(decodeURIComponent(new URL(page).pathname)),
+    }),
+  ]
+});
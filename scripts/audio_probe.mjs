@@ -0,0 +1,82 @@
+/**
+ * Narration Audio Probe
+ *
+ * Fills in `audioLength` (bytes) and `audioDuration` for posts with an `audioUrl`, which
+ * the podcast feed (/podcast.xml) uses for the enclosure and <itunes:duration>. New
+ * imports are probed by import_youmind.mjs; this backfills older posts.
+ *
+ * Usage: node scripts/audio_probe.mjs [slug...] [--force] [--dry-run]
+ *   slug      Only these post folders (default: every post with audioUrl)
+ *   --force   Probe again even when both fields are already set
+ *   --dry-run Print what would change without writing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatDuration, probeAudio, withAudioMetadata } from './lib/audio_probe.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const POSTS_DIR = path.join(__dirname, '../src/content/posts');
+
+function parseArgs(argv) {
+    const options = { slugs: [], force: false, dryRun: false };
+    for (const arg of argv) {
+        if (arg === '--force') options.force = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else options.slugs.push(arg);
+    }
+    return options;
+}
+
+async function collectPosts(slugs) {
+    const dirs = slugs.length > 0
+        ? slugs
+        : (await fs.readdir(POSTS_DIR, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    const posts = [];
+    for (const dir of dirs) {
+        const file = path.join(POSTS_DIR, dir, 'index.md');
+        const content = await fs.readFile(file, 'utf-8').catch(() => null);
+        if (content === null) {
+            if (slugs.length > 0) throw new Error(`No post at content/posts/${dir}/index.md`);
+            continue;
+        }
+        const match = content.match(/^---\n([\s\S]*?)\n---\n/);
+        const audioUrl = match?.[1].match(/^audioUrl:\s*["']?([^"'\s]+)["']?\s*$/m)?.[1];
+        if (audioUrl) posts.push({ dir, file, content, frontmatter: match[1], audioUrl });
+    }
+    return posts;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const posts = await collectPosts(options.slugs);
+    const todo = posts.filter(post => options.force || !/^audioLength:/m.test(post.frontmatter) || !/^audioDuration:/m.test(post.frontmatter));
+
+    console.log(`🎵 ${posts.length} posts with audio, ${todo.length} to probe${options.dryRun ? ' (dry run)' : ''}`);
+    let failed = 0;
+    for (const post of todo) {
+        try {
+            const result = await probeAudio(post.audioUrl);
+            const duration = result.duration === undefined ? 'unknown duration' : formatDuration(result.duration);
+            console.log(`   ✅ ${post.dir}: ${(result.length / 1024 / 1024).toFixed(1)} MB, ${duration}`);
+            if (options.dryRun) continue;
+            const frontmatter = withAudioMetadata(post.frontmatter, result);
+            await fs.writeFile(post.file, post.content.replace(post.frontmatter, () => frontmatter));
+        } catch (error) {
+            failed++;
+            console.error(`   ❌ ${post.dir}: ${error.message}`);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} of ${todo.length} failed`);
+        process.exit(1);
+    }
+    console.log(options.dryRun ? '\n✅ Dry run completed, nothing was written.' : '\n✅ Done');
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -7,92 +7,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
+import { createAiProvider } from './lib/ai_provider.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const POSTS_DIR = path.join(__dirname, '../src/content/posts');
 
-// AI Configuration
-const AI_API_KEY = process.env.AI_API_KEY || '';
-const AI_BASE_URL = process.env.AI_BASE_URL || 'https://api.openai.com/v1';
-const AI_MODEL = process.env.AI_MODEL || 'gpt-3.5-turbo';
+// AI provider (configured through AI_* env vars, see scripts/lib/ai_provider.mjs)
+const ai = createAiProvider();
 
-console.log(`🔧 AI Config: Key=${AI_API_KEY ? `loaded (${AI_API_KEY.length} chars)` : 'NOT SET'}`);
-
-// AI 标签生成
-async function generateAiTags(content) {
-    if (!AI_API_KEY) return ["思考"];
-
-    try {
-        const prompt = `请分析以下博客文章内容，生成合适的标签。规则如下：
-
-1. 公司标签：如果文章主要讨论特定公司（如 Google、Bytedance、NVIDIA、Netflix、Apple、Microsoft、Meta、Amazon、OpenAI、Tesla、Nokia、Intel、AMD 等），提取公司名作为标签（英文大小写保持原样）
-2. 深度标签：如果文章是采访、对话记录、深度访谈或人物专访，添加"深度"标签
-3. 分析标签：如果文章是分析具体问题、商业案例、策略研究，添加"分析"标签
-4. 思考标签：如果以上都不适用，添加"思考"标签
-
-注意：
-- 一篇文章可以有多个标签
-- 只返回 JSON 数组格式，例如 ["NVIDIA", "Nokia", "分析"]，不要其他文字
-
-文章内容：
-${content.slice(0, 3000)}`;
-
-        const data = JSON.stringify({
-            model: AI_MODEL,
-            messages: [
-                { role: "system", content: "你是一个博客标签分类助手。只返回 JSON 数组，不要任何其他文字。" },
-                { role: "user", content: prompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 100
-        });
-
-        const url = `${AI_BASE_URL}/chat/completions`;
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${AI_API_KEY}`
-            }
-        };
-
-        return new Promise((resolve) => {
-            const req = https.request(url, options, (res) => {
-                let body = '';
-                res.on('data', (chunk) => body += chunk);
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        try {
-                            const result = JSON.parse(body);
-                            let tagsStr = result.choices[0]?.message?.content?.trim();
-                            const tags = JSON.parse(tagsStr);
-                            if (Array.isArray(tags) && tags.length > 0) {
-                                resolve(tags);
-                            } else {
-                                resolve(["思考"]);
-                            }
-                        } catch (e) {
-                            console.warn('  ⚠️  AI Tags parse error:', e.message);
-                            resolve(["思考"]);
-                        }
-                    } else {
-                        console.warn(`  ⚠️  AI Tags API failed: ${res.statusCode}`);
-                        resolve(["思考"]);
-                    }
-                });
-            });
-            req.on('error', (e) => {
-                console.warn('  ⚠️  AI Tags request error:', e.message);
-                resolve(["思考"]);
-            });
-            req.write(data);
-            req.end();
-        });
-    } catch (e) {
-        return ["思考"];
-    }
-}
+console.log(`🔧 AI Config: ${ai.describe()}`);
 
 async function updatePost(postDir) {
     const indexPath = path.join(postDir, 'index.md');
@@ -117,7 +40,7 @@ async function updatePost(postDir) {
 
         // 生成新标签
         process.stdout.write('  🏷️  Generating tags... ');
-        const newTags = await generateAiTags(body);
+        const newTags = await ai.generateTags(body);
         console.log(`Done: ${JSON.stringify(newTags)}`);
 
         // 更新 frontmatter
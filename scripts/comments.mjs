@@ -0,0 +1,99 @@
+/**
+ * Comment Moderation
+ *
+ * Works on the comments database written by the comments API (scripts/comments_server.mjs).
+ * Approving or deleting re-exports the approved comments to src/data/comments.json, which
+ * the next build renders under each post and note; commit that file to publish them.
+ *
+ * Usage: npm run comments -- <command> [id...] [--db=path]
+ *   list [--all]   Pending comments (--all: every comment)
+ *   approve <id…>  Publish comments
+ *   delete <id…>   Remove comments together with their replies
+ *   export         Rewrite src/data/comments.json from the database
+ *   --db=path      Database file (default: $COMMENTS_DB or scripts/.comments.json)
+ */
+
+import { createJsonStore, withReplies, writeExport } from './lib/comments.mjs';
+
+function parseArgs(argv) {
+    const options = { command: argv[0], ids: [], all: false, db: process.env.COMMENTS_DB || undefined };
+    for (const arg of argv.slice(1)) {
+        if (arg === '--all') options.all = true;
+        else if (arg.startsWith('--db=')) options.db = arg.slice('--db='.length);
+        else options.ids.push(arg);
+    }
+    return options;
+}
+
+function printComment(comment, comments) {
+    const replyTo = comment.parentId ? ` ↳ ${comment.parentId}` : '';
+    const by = comment.url ? `${comment.author} <${comment.url}>` : comment.author;
+    console.log(`\n${comment.status === 'pending' ? '⏳' : '✅'} ${comment.id}  ${comment.thread}${replyTo}`);
+    console.log(`   ${by} · ${new Date(comment.createdAt).toLocaleString('zh-CN')}`);
+    if (comment.parentId) {
+        const parent = comments.find(other => other.id === comment.parentId);
+        if (parent) console.log(`   > ${parent.author}: ${parent.body.split('\n')[0].slice(0, 60)}`);
+    }
+    console.log(comment.body.split('\n').map(line => `   ${line}`).join('\n'));
+}
+
+function findAll(comments, ids) {
+    const missing = ids.filter(id => !comments.some(comment => comment.id === id));
+    if (missing.length > 0) throw new Error(`No comment with id ${missing.join(', ')}`);
+}
+
+async function exportApproved(db) {
+    const count = await writeExport(db);
+    console.log(`📦 Exported ${count} approved comments to src/data/comments.json`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const store = createJsonStore(options.db);
+
+    switch (options.command) {
+        case 'list': {
+            const { comments } = await store.read();
+            const shown = options.all ? comments : comments.filter(comment => comment.status === 'pending');
+            console.log(`💬 ${shown.length} ${options.all ? '' : 'pending '}comments (${comments.length} in ${store.file})`);
+            for (const comment of shown) printComment(comment, comments);
+            break;
+        }
+        case 'approve': {
+            if (options.ids.length === 0) throw new Error('Which comments? Pass their ids (see `list`)');
+            const db = await store.update((db) => {
+                findAll(db.comments, options.ids);
+                for (const comment of db.comments) {
+                    if (options.ids.includes(comment.id)) comment.status = 'approved';
+                }
+            });
+            console.log(`✅ Approved ${options.ids.join(', ')}`);
+            await exportApproved(db);
+            break;
+        }
+        case 'delete': {
+            if (options.ids.length === 0) throw new Error('Which comments? Pass their ids (see `list`)');
+            let removed = 0;
+            const db = await store.update((db) => {
+                findAll(db.comments, options.ids);
+                // Replies would be left hanging otherwise
+                const ids = new Set(options.ids.flatMap(id => [...withReplies(db.comments, id)]));
+                removed = ids.size;
+                db.comments = db.comments.filter(comment => !ids.has(comment.id));
+            });
+            console.log(`🗑️  Deleted ${removed} comments`);
+            await exportApproved(db);
+            break;
+        }
+        case 'export':
+            await exportApproved(await store.read());
+            break;
+        default:
+            throw new Error('Usage: npm run comments -- <list|approve|delete|export> [id...] [--all] [--db=path]');
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Comments API Server
+ *
+ * A small Node server around the comments handler in scripts/lib/comments.mjs. Comments
+ * posted by the form under posts and notes are stored as pending in a JSON file until they
+ * are approved with `npm run comments -- approve <id>`.
+ *
+ *   npm run comments:serve -- [--port=8788] [--db=path]
+ *   PUBLIC_COMMENTS_API=http://127.0.0.1:8788/comments npm run dev
+ *
+ * Environment:
+ *   COMMENTS_DB               Database file (default: scripts/.comments.json)
+ *   COMMENTS_ALLOWED_ORIGINS  Comma-separated site origins allowed to post (default: any)
+ *   COMMENTS_TRUST_PROXY=1    Take the client address from X-Forwarded-For (behind a proxy)
+ */
+
+import http from 'http';
+import { createCommentsHandler, createJsonStore } from './lib/comments.mjs';
+
+const DEFAULT_PORT = 8788;
+// Bodies are capped well above the comment length limit
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Keep draining instead of destroying the socket, so the client gets to read
+                // the 413; the response closes the connection
+                req.off('data', onData);
+                req.resume();
+                reject(new Error('Request body too large'));
+            } else {
+                chunks.push(chunk);
+            }
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function clientAddress(req) {
+    const forwarded = process.env.COMMENTS_TRUST_PROXY === '1' && req.headers['x-forwarded-for'];
+    return forwarded ? String(forwarded).split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+async function main() {
+    const arg = (name) => process.argv.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+    const port = Number(arg('port')) || DEFAULT_PORT;
+    const store = createJsonStore(arg('db') || process.env.COMMENTS_DB || undefined);
+    const allowedOrigins = (process.env.COMMENTS_ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim());
+    const handle = createCommentsHandler({ store, allowedOrigins });
+
+    const server = http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || '127.0.0.1'}`);
+            if (url.pathname !== '/comments') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+                return;
+            }
+            const body = ['GET', 'HEAD'].includes(req.method) ? undefined : await readBody(req);
+            const request = new Request(url, { method: req.method, headers: req.headers, body });
+            const response = await handle(request, clientAddress(req));
+
+            res.writeHead(response.status, Object.fromEntries(response.headers));
+            res.end(Buffer.from(await response.arrayBuffer()));
+            console.log(`  ${response.status} ${req.method} ${url.pathname}`);
+        } catch (error) {
+            console.error(`  ❌ ${req.method} ${req.url}: ${error.message}`);
+            if (error.message === 'Request body too large') {
+                res.writeHead(413, { 'Content-Type': 'text/plain', Connection: 'close' });
+            } else if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+            }
+            res.end();
+        }
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`💬 Comments API on http://127.0.0.1:${port}/comments (database: ${store.file})`);
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Comments server failed:', error);
+    process.exit(1);
+});
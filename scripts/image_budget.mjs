@@ -0,0 +1,99 @@
+/**
+ * Image Size Budget Report
+ *
+ * Lists co-located post images whose originals are heavier or larger than they need to be.
+ * The build downsizes them anyway, but originals live in git and slow down every build.
+ *
+ * Usage: node scripts/image_budget.mjs [--max-kb=500] [--max-width=2400] [--json] [--strict]
+ *   --json    Print the report as JSON
+ *   --strict  Exit with code 1 when any image is over budget
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const POSTS_DIR = path.join(__dirname, '../src/content/posts');
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|avif)$/i;
+
+// The largest rendition is 1600px wide (src/plugins/rehype-post-images.mjs); long screenshots
+// are fine, so only the width counts
+const DEFAULT_MAX_KB = 500;
+const DEFAULT_MAX_WIDTH = 2400;
+
+function numberArg(args, name, fallback) {
+    const value = args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+    const parsed = Number(value);
+    return value && parsed > 0 ? parsed : fallback;
+}
+
+function formatKb(bytes) {
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+async function collectImages() {
+    const images = [];
+    const dirs = await fs.readdir(POSTS_DIR, { withFileTypes: true });
+    for (const dir of dirs.filter(entry => entry.isDirectory())) {
+        const files = await fs.readdir(path.join(POSTS_DIR, dir.name));
+        for (const file of files.filter(name => IMAGE_EXTENSIONS.test(name))) {
+            const filePath = path.join(POSTS_DIR, dir.name, file);
+            const [{ size }, metadata] = await Promise.all([
+                fs.stat(filePath),
+                sharp(filePath).metadata().catch(() => ({})),
+            ]);
+            images.push({
+                file: path.relative(POSTS_DIR, filePath),
+                bytes: size,
+                width: metadata.width ?? 0,
+                height: metadata.height ?? 0,
+            });
+        }
+    }
+    return images;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const maxKb = numberArg(args, 'max-kb', DEFAULT_MAX_KB);
+    const maxWidth = numberArg(args, 'max-width', DEFAULT_MAX_WIDTH);
+
+    const images = await collectImages();
+    const oversized = images
+        .map(image => ({
+            ...image,
+            reasons: [
+                image.bytes > maxKb * 1024 && `> ${maxKb} KB`,
+                image.width > maxWidth && `wider than ${maxWidth}px`,
+            ].filter(Boolean),
+        }))
+        .filter(image => image.reasons.length > 0)
+        .sort((a, b) => b.bytes - a.bytes);
+
+    const totalBytes = images.reduce((sum, image) => sum + image.bytes, 0);
+    const oversizedBytes = oversized.reduce((sum, image) => sum + image.bytes, 0);
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ budget: { maxKb, maxWidth }, total: images.length, totalBytes, oversized }, null, 2));
+    } else {
+        console.log(`🖼️  ${images.length} post images, ${formatKb(totalBytes)} in total (budget: ${maxKb} KB, ${maxWidth}px wide)\n`);
+        if (oversized.length === 0) {
+            console.log('✅ All originals are within budget');
+        } else {
+            for (const image of oversized) {
+                console.log(`  ⚠️  ${formatKb(image.bytes).padStart(8)}  ${`${image.width}×${image.height}`.padEnd(11)}  ${image.file}  (${image.reasons.join(', ')})`);
+            }
+            console.log(`\n📦 ${oversized.length} over budget, ${formatKb(oversizedBytes)} (${Math.round(oversizedBytes / totalBytes * 100)}% of all image bytes)`);
+            console.log('💡 Resize to at most the budget width or re-encode (e.g. JPEG quality 80) before committing');
+        }
+    }
+
+    if (args.includes('--strict') && oversized.length > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ Image report failed:', error);
+    process.exit(1);
+});
@@ -1,30 +1,54 @@
 /**
  * Youmind to Astro Content Import Script
+ *
+ * Also imports Obsidian vault notes, Notion Markdown exports and saved HTML/WeChat
+ * article pages; see scripts/lib/source_adapters.mjs. The format is detected per file,
+ * or forced with --format=youmind|obsidian|notion|html.
  * 
  * Usage: 
- *   Batch: node scripts/import_youmind.mjs --source=/path/to/youmind/export
+ *   Batch: node scripts/import_youmind.mjs --source=/path/to/youmind/export   (.md, .html)
  *   Single: node scripts/import_youmind.mjs --file=/path/to/file.md
+ *   Clipboard: node scripts/import_youmind.mjs --paste         (pbpaste / wl-paste / xclip / xsel)
+ *   Stdin: cat post.md | node scripts/import_youmind.mjs --stdin
+ *   HTML: add --html to read the clipboard's HTML flavor (or stdin) and convert it to Markdown
+ *   Preview: add --dry-run to report create/update/skip without writing anything
+ *   Overwrite: add --force to replace the body of a post this script did not import
+ *
+ * Re-imports are idempotent: scripts/.import-manifest.json remembers the source hash
+ * and downloaded images of every post. Unchanged sources are skipped, changed ones only
+ * get their body replaced (hand-edited frontmatter is kept) and images are reused.
+ *
+ * Posts with an `[Audio](...mp3)` line get `audioUrl`, plus `audioLength` / `audioDuration`
+ * probed from the file for the podcast feed (see scripts/lib/audio_probe.mjs).
  */
 
 import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
+import { createWriteStream, readdirSync, readFileSync } from 'fs';
 import { pipeline } from 'stream/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import https from 'https';
 import http from 'http';
+import { loadManifest, saveManifest, findEntry, recordEntry, hashContent } from './lib/import_manifest.mjs';
+import { createAiProvider, extractSummaryFromContent } from './lib/ai_provider.mjs';
+import { readClipboard, readStdin } from './lib/clipboard.mjs';
+import { htmlToMarkdown } from './lib/html_to_markdown.mjs';
+import { adaptSource, cleanSourceName } from './lib/source_adapters.mjs';
+import { formatDuration, probeAudio, withAudioMetadata } from './lib/audio_probe.mjs';
+import { loadTaxonomy } from './lib/taxonomy.mjs';
+import { slug as githubSlug } from 'github-slugger';
+import YAML from 'yaml';
 
 // --- Configuration ---
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TARGET_POSTS_DIR = path.join(__dirname, '../src/content/posts');
 
-// AI Configuration (Env vars or placeholders)
-const AI_API_KEY = process.env.AI_API_KEY || ''; // e.g. sk-...
-const AI_BASE_URL = process.env.AI_BASE_URL || 'https://api.openai.com/v1';
-const AI_MODEL = process.env.AI_MODEL || 'gpt-3.5-turbo';
+// AI provider (configured through AI_* env vars, see scripts/lib/ai_provider.mjs)
+const ai = createAiProvider();
+const taxonomy = loadTaxonomy();
 
 // Debug: Print AI config status
-console.log(`🔧 AI Config: Key=${AI_API_KEY ? `loaded (${AI_API_KEY.length} chars)` : 'NOT SET'}, URL=${AI_BASE_URL}, Model=${AI_MODEL}`);
+console.log(`🔧 AI Config: ${ai.describe()}`);
 
 // --- Helpers ---
 
@@ -38,184 +62,84 @@ function toSlug(filename) {
         .replace(/^-+|-+$/g, '');
 }
 
-async function ensureDir(dir) {
+async function fileExists(filePath) {
     try {
-        await fs.access(dir);
+        await fs.access(filePath);
+        return true;
     } catch {
-        await fs.mkdir(dir, { recursive: true });
+        return false;
     }
 }
 
-// Call AI to generate summary
-async function generateAiSummary(content) {
-    if (!AI_API_KEY) return null;
-
-    try {
-        const prompt = `Please summarize the following markdown content into a single short sentence (10-20 Chinese characters) to be used as a blog post description. Do not use quotes. content:\n\n${content.slice(0, 2000)}`;
-
-        const data = JSON.stringify({
-            model: AI_MODEL,
-            messages: [
-                { role: "system", content: "You are a helpful assistant that summarizes blog posts." },
-                { role: "user", content: prompt }
-            ],
-            temperature: 0.7,
-            max_tokens: 60
-        });
-
-        const url = `${AI_BASE_URL}/chat/completions`;
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${AI_API_KEY}`
-            }
-        };
-
-        return new Promise((resolve, reject) => {
-            const req = https.request(url, options, (res) => {
-                let body = '';
-                res.on('data', (chunk) => body += chunk);
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        try {
-                            const result = JSON.parse(body);
-                            const summary = result.choices[0]?.message?.content?.trim();
-                            resolve(summary);
-                        } catch (e) {
-                            console.warn('      ⚠️  AI Response parse error:', e.message);
-                            resolve(null);
-                        }
-                    } else {
-                        console.warn(`      ⚠️  AI API request failed: ${res.statusCode} ${body}`);
-                        resolve(null);
-                    }
-                });
-            });
-            req.on('error', (e) => {
-                console.warn('      ⚠️  AI API request error:', e.message);
-                resolve(null);
-            });
-            req.write(data);
-            req.end();
-        });
-    } catch (e) {
-        return null;
-    }
+// Split a markdown file into its frontmatter block and body
+function splitFrontmatter(content) {
+    const fmMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+    if (!fmMatch) return { frontmatter: null, body: content };
+    return { frontmatter: fmMatch[1], body: fmMatch[2] };
 }
 
-// Call AI to generate tags based on content
-async function generateAiTags(content) {
-    if (!AI_API_KEY) return ["思考"]; // 无 API Key 时默认返回
-
+async function ensureDir(dir) {
     try {
-        const prompt = `请分析以下博客文章内容，生成合适的标签。规则如下：
-
-1. 公司标签：如果文章主要讨论特定公司（如 Google、Bytedance、NVIDIA、Netflix、Apple、Microsoft、Meta、Amazon、OpenAI、Tesla、Nokia、Intel、AMD 等），提取公司名作为标签（英文大小写保持原样）
-2. 深度标签：如果文章是采访、对话记录、深度访谈或人物专访，添加"深度"标签
-3. 分析标签：如果文章是分析具体问题、商业案例、策略研究，添加"分析"标签
-4. 思考标签：如果以上都不适用，添加"思考"标签
-
-注意：
-- 一篇文章可以有多个标签
-- 只返回 JSON 数组格式，例如 ["NVIDIA", "Nokia", "分析"]，不要其他文字
-
-文章内容：
-${content.slice(0, 3000)}`;
-
-        const data = JSON.stringify({
-            model: AI_MODEL,
-            messages: [
-                { role: "system", content: "你是一个博客标签分类助手。只返回 JSON 数组，不要任何其他文字。" },
-                { role: "user", content: prompt }
-            ],
-            temperature: 0.3,
-            max_tokens: 100
-        });
-
-        const url = `${AI_BASE_URL}/chat/completions`;
-        const options = {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${AI_API_KEY}`
-            }
-        };
-
-        return new Promise((resolve) => {
-            const req = https.request(url, options, (res) => {
-                let body = '';
-                res.on('data', (chunk) => body += chunk);
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        try {
-                            const result = JSON.parse(body);
-                            let tagsStr = result.choices[0]?.message?.content?.trim();
-                            // 尝试解析 JSON 数组
-                            const tags = JSON.parse(tagsStr);
-                            if (Array.isArray(tags) && tags.length > 0) {
-                                resolve(tags);
-                            } else {
-                                resolve(["思考"]);
-                            }
-                        } catch (e) {
-                            console.warn('      ⚠️  AI Tags parse error:', e.message);
-                            resolve(["思考"]);
-                        }
-                    } else {
-                        console.warn(`      ⚠️  AI Tags API failed: ${res.statusCode}`);
-                        resolve(["思考"]);
-                    }
-                });
-            });
-            req.on('error', (e) => {
-                console.warn('      ⚠️  AI Tags request error:', e.message);
-                resolve(["思考"]);
-            });
-            req.write(data);
-            req.end();
-        });
-    } catch (e) {
-        return ["思考"];
+        await fs.access(dir);
+    } catch {
+        await fs.mkdir(dir, { recursive: true });
     }
 }
 
-// Download remote file
+// Download remote file; a failed download leaves no partial file behind
 async function downloadFile(url, destPath) {
     const protocol = url.startsWith('https') ? https : http;
 
-    return new Promise((resolve, reject) => {
+    const download = new Promise((resolve, reject) => {
         const file = createWriteStream(destPath);
         protocol.get(url, response => {
             if (response.statusCode !== 200) {
+                response.resume();
+                file.destroy();
                 reject(new Error(`Failed to get '${url}' (${response.statusCode})`));
                 return;
             }
             pipeline(response, file)
                 .then(() => resolve())
                 .catch(reject);
-        }).on('error', reject);
+        }).on('error', (e) => {
+            file.destroy();
+            reject(e);
+        });
     });
+
+    try {
+        await download;
+    } catch (e) {
+        await fs.rm(destPath, { force: true });
+        throw e;
+    }
 }
 
-// Generate simple frontmatter
-async function createFrontmatter(title, content, dateStr, audioUrl = null) {
+// Generate frontmatter, keeping whatever the source already had (see source_adapters.mjs)
+async function createFrontmatter(meta, content) {
     const today = new Date().toISOString().split('T')[0];
-    const pubDate = dateStr || today;
-
-    let cleanTitle = title;
-
-    // Call AI to generate smart tags
-    process.stdout.write('      🏷️  Generating AI tags... ');
-    let tags = await generateAiTags(content);
-    console.log(`Done. Tags: ${JSON.stringify(tags)}`);
+    const pubDate = meta.pubDate || today;
+
+    let cleanTitle = meta.title || extractTitleFromContent(content);
+
+    // Source tags are kept if the taxonomy knows them; otherwise ask the AI
+    let tags = meta.tags ? taxonomy.normalize(meta.tags) : [];
+    if (tags.length > 0) {
+        console.log(`      🏷️  Keeping source tags: ${JSON.stringify(tags)}`);
+    } else {
+        process.stdout.write('      🏷️  Generating AI tags... ');
+        tags = await ai.generateTags(content);
+        console.log(`Done. Tags: ${JSON.stringify(tags)}`);
+    }
 
-    let summary = '';
+    let summary = meta.description || '';
+    let aiSummary = null;
 
-    // 1. Try AI Generation
-    if (AI_API_KEY) {
-        process.stdout.write('      🤖 Generating AI summary... ');
-        const aiSummary = await generateAiSummary(content);
+    // 1. Try AI Generation (the heuristic provider truncates to 20 chars itself)
+    if (!summary) {
+        process.stdout.write(`      🤖 Generating ${ai.name} summary... `);
+        aiSummary = await ai.generateSummary(content);
         if (aiSummary) {
             summary = aiSummary;
             console.log('Done.');
@@ -232,9 +156,9 @@ async function createFrontmatter(title, content, dateStr, audioUrl = null) {
     // 3. Fallback to Title
     if (!summary) summary = cleanTitle;
 
-    // User requested 10-20 chars. 
+    // User requested 10-20 chars.
     // If AI generated it, we trust it fits (mostly). If local, we truncate.
-    if (!AI_API_KEY && summary.length > 20) {
+    if (!meta.description && !aiSummary && summary.length > 20) {
         summary = summary.substring(0, 20) + "...";
     }
 
@@ -243,10 +167,24 @@ async function createFrontmatter(title, content, dateStr, audioUrl = null) {
 title: "${cleanTitle.replace(/"/g, '\\"')}"
 description: "${summary.replace(/"/g, '\\"')}"
 pubDate: "${pubDate}"
+importedAt: "${new Date().toISOString()}"
 tags: ${JSON.stringify(tags)}`;
 
-    if (audioUrl) {
-        frontmatter += `\naudioUrl: "${audioUrl}"`;
+    if (meta.category) {
+        frontmatter += `\ncategory: "${meta.category.replace(/"/g, '\\"')}"`;
+    }
+    if (meta.audioUrl) {
+        frontmatter += `\naudioUrl: "${meta.audioUrl}"`;
+    }
+    if (meta.draft) {
+        frontmatter += `\ndraft: true`;
+    }
+    if (meta.extra) {
+        frontmatter += `\n${YAML.stringify(meta.extra).trimEnd()}`;
+    }
+    // A fresh probe wins over audioLength/audioDuration from the source
+    if (meta.audioUrl && meta.audioMeta) {
+        frontmatter = withAudioMetadata(frontmatter, meta.audioMeta);
     }
 
     frontmatter += `\n---
@@ -256,41 +194,6 @@ tags: ${JSON.stringify(tags)}`;
     return frontmatter;
 }
 
-function extractSummaryFromContent(content) {
-    // 1. Remove Title (H1)
-    let text = content.replace(/^#\s+(.*$)/m, '');
-
-    // 2. Remove Images
-    text = text.replace(/!\[.*?\]\(.*?\)/g, '');
-
-    // 3. Remove HTML/Scripts
-    text = text.replace(/<[^>]*>/g, '');
-
-    // 4. Remove Markdown formatting (**bold**, etc)
-    text = text.replace(/(\*\*|__)(.*?)\1/g, '$2');
-    text = text.replace(/(\*|_)(.*?)\1/g, '$2');
-
-    // 5. Remove blockquotes
-    text = text.replace(/^>\s+/gm, '');
-
-    // 6. Remove URL links but keep text [text](url) -> text
-    text = text.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
-
-    // 7. Split into paragraphs
-    // We want a "substantial" paragraph, not just a short byline.
-    const paragraphs = text.split(/\n\s*\n/);
-
-    for (const p of paragraphs) {
-        const cleanP = p.trim();
-        // Assume a good summary paragraph has at least 10 chars and doesn't start with special chars
-        if (cleanP.length > 10 && !cleanP.startsWith('---')) {
-            return cleanP.replace(/\n/g, ' ');
-        }
-    }
-
-    return "";
-}
-
 function extractTitleFromContent(content) {
     // 1. Try to find first H1
     const h1Match = content.match(/^#\s+(.*$)/m);
@@ -303,27 +206,116 @@ function extractTitleFromContent(content) {
     return "Untitled Post";
 }
 
+let postIndex = null;
+
+// Every existing post under the names a link might use: its folder, its title and their
+// slugs. Folders keep full-width punctuation (智能简史1：…), which toSlug() would change.
+function loadPostIndex() {
+    if (postIndex) return postIndex;
+    postIndex = new Map();
+    for (const entry of readdirSync(TARGET_POSTS_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        let data = {};
+        try {
+            const { frontmatter } = splitFrontmatter(readFileSync(path.join(TARGET_POSTS_DIR, entry.name, 'index.md'), 'utf-8'));
+            data = (frontmatter && YAML.parse(frontmatter)) || {};
+        } catch {
+            continue;
+        }
+        // Same URL Astro builds: github-slugger on the folder unless `slug:` is set, English under /en/
+        const url = `${data.lang === 'en' ? '/en' : ''}/posts/${data.slug || githubSlug(entry.name)}/`;
+        const names = [entry.name, data.title].filter(Boolean).map(String);
+        for (const name of names) {
+            for (const key of [name, toSlug(name), githubSlug(name)]) {
+                if (key && !postIndex.has(key)) postIndex.set(key, url);
+            }
+        }
+    }
+    return postIndex;
+}
+
+// Link target for a wikilink / Notion page link: an existing post, or one being imported in this batch
+function resolvePostLink(title, pendingSlugs = new Set()) {
+    const existing = loadPostIndex();
+    for (const key of [title.trim(), toSlug(title), githubSlug(title)]) {
+        if (key && existing.has(key)) return existing.get(key);
+    }
+    const slug = toSlug(title);
+    // Astro derives the URL from the folder name with github-slugger
+    return slug && pendingSlugs.has(slug) ? `/posts/${githubSlug(slug)}/` : null;
+}
+
 // --- Main Logic ---
 
-async function processFile(filePath, sourceDir = null) {
+async function processFile(filePath, sourceDir, options) {
     console.log(`   Processing: ${filePath}`);
+    let content;
     try {
-        let content = await fs.readFile(filePath, 'utf-8');
+        content = await fs.readFile(filePath, 'utf-8');
+    } catch (e) {
+        console.error(`      ❌ Failed to read ${filePath}:`, e.message);
+        return 'error';
+    }
+    return processContent(content, { filePath, sourceDir }, options);
+}
+
+/**
+ * Import one source document. `filePath`/`sourceDir` are null for clipboard and stdin
+ * input: the slug then comes from the title and relative images are skipped.
+ */
+async function processContent(rawContent, { filePath = null, sourceDir = null } = {}, { manifest, dryRun = false, force = false, format, pendingSlugs } = {}) {
+    const source = filePath ? path.resolve(filePath) : null;
+    try {
+        const sourceHash = hashContent(rawContent);
+
+        // --- Source Adapter ---
+        // Normalizes Obsidian/Notion/HTML syntax and pulls out the metadata the source already has
+        const adapted = await adaptSource(
+            { content: rawContent, filePath, sourceDir, resolvePostLink: (title) => resolvePostLink(title, pendingSlugs) },
+            { format }
+        );
+        let content = adapted.body;
+        const meta = adapted.meta;
+        console.log(`      🔌 Source format: ${adapted.adapter}`);
 
         // Determine Slug/Title
-        let filename = path.basename(filePath);
-        let slug = toSlug(filename);
+        let slug = adapted.name ? toSlug(adapted.name) : '';
 
-        // If filename is generic "draft.md", try to generate slug from content title
-        if (slug === 'draft' || slug === 'temp' || slug === 'input' || slug === 'temp-clipboard-import') {
-            const title = extractTitleFromContent(content);
+        // Without a filename, or a generic one like "draft.md", generate the slug from the title
+        if (!slug || slug === 'draft' || slug === 'temp' || slug === 'input' || slug === 'untitled') {
+            const title = meta.title || extractTitleFromContent(content);
             slug = toSlug(title);
         }
 
+        // --- Manifest Lookup ---
+        const previous = findEntry(manifest, { source, hash: sourceHash, slug });
+        if (previous) slug = previous.slug;
+
         const postDir = path.join(TARGET_POSTS_DIR, slug);
+        const indexPath = path.join(postDir, 'index.md');
+        const exists = await fileExists(indexPath);
+
+        // Written by hand, or imported before the manifest existed
+        if (exists && !previous && !force) {
+            throw new Error(`content/posts/${slug}/index.md exists but is not in the import manifest; pass --force to replace its body`);
+        }
+
+        if (exists && previous?.entry.hash === sourceHash) {
+            console.log(`      ⏭️  Unchanged, skipping: content/posts/${slug}/index.md`);
+            return 'skip';
+        }
+
+        const action = exists ? 'update' : 'create';
+        if (dryRun) {
+            console.log(`      📝 Would ${action}: content/posts/${slug}/index.md`);
+            return action;
+        }
+
         await ensureDir(postDir);
 
         // --- Image Handling (Parallel Downloads) ---
+        const knownImages = previous?.entry.images || {};
+        const images = {}; // remote url -> local file name, recorded in the manifest
         const imageRegex = /!\[(.*?)\]\((.*?)(?:\s+"(.*?)")?\)/g;
         let matchIter;
         const downloadTasks = [];
@@ -334,10 +326,20 @@ async function processFile(filePath, sourceDir = null) {
             const [fullMatch, alt, imgPath, title] = matchIter;
 
             if (imgPath.startsWith('http')) {
-                // Remote Image - prepare download task
+                // Remote Image - reuse a previous download if the file is still there
+                const known = knownImages[imgPath];
+                if (known && await fileExists(path.join(postDir, known))) {
+                    images[imgPath] = known;
+                    replacementMap.set(fullMatch, { targetImgName: known, alt, title });
+                    continue;
+                }
+
+                // Name is derived from the URL so the same image always lands in the same file
                 const url = new URL(imgPath);
-                const ext = path.extname(url.pathname) || '.jpg';
-                const imgHash = Math.random().toString(36).substring(7);
+                // WeChat (mmbiz.qpic.cn) URLs carry the format in ?wx_fmt= instead of an extension
+                const wxFormat = url.searchParams.get('wx_fmt');
+                const ext = path.extname(url.pathname) || (wxFormat ? `.${wxFormat.replace('jpeg', 'jpg')}` : '.jpg');
+                const imgHash = hashContent(imgPath).slice(0, 8);
                 const targetImgName = `img-${imgHash}${ext}`;
                 const targetImgPath = path.join(postDir, targetImgName);
 
@@ -349,7 +351,10 @@ async function processFile(filePath, sourceDir = null) {
                 // Add download task (don't await yet)
                 downloadTasks.push(
                     downloadFile(imgPath, targetImgPath)
-                        .then(() => ({ success: true, fullMatch }))
+                        .then(() => {
+                            images[imgPath] = targetImgName;
+                            return { success: true, fullMatch };
+                        })
                         .catch(e => {
                             console.warn(`      ⚠️  Image issue: ${e.message}`);
                             replacementMap.delete(fullMatch); // Remove failed downloads
@@ -361,7 +366,8 @@ async function processFile(filePath, sourceDir = null) {
                 try {
                     const decodedImgPath = decodeURIComponent(imgPath);
                     const sourceImgPath = path.resolve(sourceDir, decodedImgPath);
-                    const targetImgName = path.basename(sourceImgPath);
+                    // Obsidian names pastes "Pasted image 2024….png"; a space would break the Markdown link
+                    const targetImgName = path.basename(sourceImgPath).replace(/[\s()<>\[\]"'#?%]+/g, '-');
                     const targetImgPath = path.join(postDir, targetImgName);
                     await fs.copyFile(sourceImgPath, targetImgPath);
                     replacementMap.set(fullMatch, { targetImgName, alt, title });
@@ -388,81 +394,114 @@ async function processFile(filePath, sourceDir = null) {
         // Extract audio link from content (format: [Audio](url))
         const audioRegex = /^\[Audio\]\((https?:\/\/[^\s)]+\.mp3)\)\s*$/m;
         const audioMatch = content.match(audioRegex);
-        let audioUrl = null;
+        let audioUrl = meta.audioUrl ?? null;
         if (audioMatch) {
             audioUrl = audioMatch[1];
             content = content.replace(audioRegex, '');
             console.log(`      🎵 Found audio: ${audioUrl.slice(0, 50)}...`);
         }
 
+        // Length and duration for the podcast feed; a failed probe only loses <itunes:duration>
+        let audioMeta = null;
+        if (audioUrl) {
+            try {
+                audioMeta = await probeAudio(audioUrl);
+                const duration = audioMeta.duration === undefined ? 'unknown duration' : formatDuration(audioMeta.duration);
+                console.log(`      ⏱️  Audio: ${(audioMeta.length / 1024 / 1024).toFixed(1)} MB, ${duration}`);
+            } catch (e) {
+                console.warn(`      ⚠️  Could not probe audio (${e.message}); run npm run audio:probe later`);
+            }
+        }
+
         // --- Frontmatter ---
-        if (!content.trim().startsWith('---')) {
-            const title = extractTitleFromContent(content);
-            const frontmatter = await createFrontmatter(title, content, null, audioUrl);
-            content = frontmatter + content;
+        if (action === 'update') {
+            // Keep the local (possibly hand-edited) frontmatter, replace only the body
+            const existing = splitFrontmatter(await fs.readFile(indexPath, 'utf-8'));
+            if (existing.frontmatter !== null) {
+                let frontmatter = existing.frontmatter;
+                if (audioUrl && !/^audioUrl:/m.test(frontmatter)) {
+                    frontmatter += `\naudioUrl: "${audioUrl}"`;
+                }
+                if (audioMeta) frontmatter = withAudioMetadata(frontmatter, audioMeta);
+                content = `---\n${frontmatter}\n---\n\n${content.replace(/^\n+/, '')}`;
+            }
+        } else {
+            const frontmatter = await createFrontmatter({ ...meta, audioUrl, audioMeta }, content);
+            content = frontmatter + content.replace(/^\n+/, '');
         }
 
         // Write file
-        await fs.writeFile(path.join(postDir, 'index.md'), content);
-        console.log(`      ✅  Saved to: content/posts/${slug}/index.md`);
+        await fs.writeFile(indexPath, content);
+        recordEntry(manifest, slug, { source, hash: sourceHash, images });
+        console.log(`      ✅  ${action === 'update' ? 'Updated' : 'Saved to'}: content/posts/${slug}/index.md`);
+        return action;
 
     } catch (e) {
-        console.error(`      ❌ Failed to process ${filePath}:`, e.message);
+        console.error(`      ❌ Failed to process ${source ?? slug}:`, e.message);
+        return 'error';
     }
 }
 
-import { execSync } from 'child_process';
-
-// Get content from clipboard (macOS only)
-function getClipboardContent() {
-    try {
-        return execSync('pbpaste').toString();
-    } catch (e) {
-        console.error('❌ Could not read clipboard (pbpaste failed).');
-        return '';
-    }
+// Read clipboard or stdin input, converting HTML to Markdown when --html is given
+async function readInput({ stdin, html }) {
+    const raw = stdin ? await readStdin() : readClipboard({ html });
+    return html ? htmlToMarkdown(raw) : raw;
 }
 
 async function main() {
     const args = process.argv.slice(2);
     const sourceArg = args.find(arg => arg.startsWith('--source='));
     const fileArg = args.find(arg => arg.startsWith('--file='));
-    const pasteArg = args.includes('--paste');
+    const htmlArg = args.includes('--html');
+    const stdinArg = args.includes('--stdin');
+    // --html on its own reads the clipboard
+    const pasteArg = args.includes('--paste') || (htmlArg && !stdinArg);
+    const dryRun = args.includes('--dry-run');
+    const force = args.includes('--force');
+    const formatArg = args.find(arg => arg.startsWith('--format='));
+    const format = formatArg ? formatArg.split('=')[1] : undefined;
 
     const sourceDir = sourceArg ? sourceArg.split('=')[1] : null;
     const singleFile = fileArg ? fileArg.split('=')[1] : null;
 
-    if (!sourceDir && !singleFile && !pasteArg) {
+    if (!sourceDir && !singleFile && !pasteArg && !stdinArg) {
         console.error('❌ Error: Please use one of the following:');
         console.error('  --paste          (Import from clipboard)');
+        console.error('  --stdin          (Import Markdown piped into stdin)');
+        console.error('  --html           (With --paste/--stdin: input is HTML, converted to Markdown)');
         console.error('  --file=path.md   (Import single file)');
         console.error('  --source=dir     (Import directory)');
+        console.error('  --format=name    (Force youmind | obsidian | notion | html instead of detecting)');
+        console.error('  --dry-run        (Only report create/update/skip)');
+        console.error('  --force          (Replace the body of posts missing from the manifest)');
         process.exit(1);
     }
 
-    console.log(`🚀 Starting import...`);
+    console.log(`🚀 Starting import${dryRun ? ' (dry run)' : ''}...`);
     await ensureDir(TARGET_POSTS_DIR);
 
-    if (pasteArg) {
-        console.log('📋 Reading from clipboard...');
-        const content = getClipboardContent();
-        if (!content.trim()) {
-            console.error('❌ Clipboard is empty!');
-            process.exit(1);
-        }
-        // Write to a temporary file locally to reuse processFile logic
-        const tempPath = path.join(__dirname, 'temp_clipboard_import.md');
-        await fs.writeFile(tempPath, content);
+    const manifest = await loadManifest();
+    const options = { manifest, dryRun, force, format };
+    const results = { create: 0, update: 0, skip: 0, error: 0 };
 
+    if (pasteArg || stdinArg) {
+        const from = stdinArg ? 'stdin' : 'clipboard';
+        console.log(`📋 Reading ${htmlArg ? 'HTML ' : ''}from ${from}...`);
+        let content;
         try {
-            await processFile(tempPath, null);
-        } finally {
-            // Cleanup
-            try { await fs.unlink(tempPath); } catch { }
+            content = await readInput({ stdin: stdinArg, html: htmlArg });
+        } catch (e) {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
         }
+        if (!content.trim()) {
+            console.error(`❌ ${stdinArg ? 'Stdin' : 'Clipboard'} is empty!`);
+            process.exit(1);
+        }
+        results[await processContent(content, {}, options)]++;
 
     } else if (singleFile) {
-        await processFile(singleFile, path.dirname(singleFile));
+        results[await processFile(singleFile, path.dirname(singleFile), options)]++;
     } else if (sourceDir) {
         let files;
         try {
@@ -471,15 +510,20 @@ async function main() {
             console.error(`❌ Could not read directory: ${sourceDir}`);
             process.exit(1);
         }
-        const mdFiles = files.filter(f => f.endsWith('.md'));
-        console.log(`📂 Found ${mdFiles.length} markdown files.`);
-        for (const file of mdFiles) {
-            await processFile(path.join(sourceDir, file), sourceDir);
+        const sourceFiles = files.filter(f => /\.(md|html?)$/i.test(f));
+        console.log(`📂 Found ${sourceFiles.length} markdown/HTML files.`);
+        // Wikilinks between files of the same export resolve even before the target is imported
+        const pendingSlugs = new Set(sourceFiles.map(f => toSlug(cleanSourceName(f))));
+        for (const file of sourceFiles) {
+            results[await processFile(path.join(sourceDir, file), sourceDir, { ...options, pendingSlugs })]++;
         }
     }
 
+    if (!dryRun) await saveManifest(manifest);
+
     console.log('----------------------------------------');
-    console.log('✅ Import completed!');
+    console.log(`📊 ${dryRun ? 'Would create' : 'Created'}: ${results.create}, ${dryRun ? 'would update' : 'updated'}: ${results.update}, skipped: ${results.skip}, failed: ${results.error}`);
+    console.log(dryRun ? '✅ Dry run completed, nothing was written.' : '✅ Import completed!');
 }
 
 main().catch(console.error);
@@ -0,0 +1,288 @@
+/**
+ * AI Provider Layer
+ *
+ * Shared by the importer, the batch tagger and any future AI step. Two providers:
+ *   - openai:    any OpenAI-compatible /chat/completions endpoint (http:// or https://),
+ *                with timeouts, retries with exponential backoff and a response cache
+ *   - heuristic: offline and deterministic, no network at all (useful for tests)
+ *
+ * Configuration (env vars, all optional):
+ *   AI_PROVIDER     openai | heuristic   (default: openai when AI_API_KEY is set, else heuristic)
+ *   AI_API_KEY      bearer token for the openai provider
+ *   AI_BASE_URL     e.g. https://api.deepseek.com or http://localhost:8080/v1
+ *   AI_MODEL        model name sent to the endpoint
+ *   AI_TIMEOUT_MS   per-request timeout (default 30000)
+ *   AI_MAX_RETRIES  retries after the first attempt (default 2)
+ *   AI_CACHE        set to "off" to disable the response cache
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import https from 'https';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { loadTaxonomy } from './taxonomy.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CACHE_PATH = path.join(__dirname, '../.ai-cache.json');
+
+// --- Prompts ---
+
+export function buildSummaryMessages(content) {
+    const prompt = `Please summarize the following markdown content into a single short sentence (10-20 Chinese characters) to be used as a blog post description. Do not use quotes. content:\n\n${content.slice(0, 2000)}`;
+    return [
+        { role: "system", content: "You are a helpful assistant that summarizes blog posts." },
+        { role: "user", content: prompt }
+    ];
+}
+
+// The tag rules are generated from src/data/taxonomy.json so the model only picks known tags
+export function buildTagsMessages(content, taxonomy) {
+    const companies = taxonomy.byGroup('company').map(def => def.name).join('、');
+    const genres = taxonomy.byGroup('genre').filter(def => def.name !== taxonomy.defaultTag);
+    const topics = taxonomy.byGroup('topic').map(def => `${def.name}（${def.description}）`).join('、');
+
+    const rules = [
+        `公司标签：如果文章主要讨论特定公司，从以下列表中提取公司名作为标签（写法与列表保持一致）：${companies}`,
+        ...genres.map(def => `${def.name}标签：如果文章属于「${def.description}」，添加"${def.name}"标签`),
+        ...(topics ? [`主题标签：如果文章明显涉及以下主题，添加对应标签：${topics}`] : []),
+        `${taxonomy.defaultTag}标签：如果以上都不适用，添加"${taxonomy.defaultTag}"标签`,
+    ];
+
+    const prompt = `请分析以下博客文章内容，生成合适的标签。规则如下：
+
+${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')}
+
+注意：
+- 一篇文章可以有多个标签
+- 只能使用上面列出的标签，不要自造新标签
+- 只返回 JSON 数组格式，例如 ["NVIDIA", "Nokia", "分析"]，不要其他文字
+
+文章内容：
+${content.slice(0, 3000)}`;
+    return [
+        { role: "system", content: "你是一个博客标签分类助手。只返回 JSON 数组，不要任何其他文字。" },
+        { role: "user", content: prompt }
+    ];
+}
+
+// --- Local Text Helpers ---
+
+// Pick the first substantial paragraph of a markdown document
+export function extractSummaryFromContent(content) {
+    // 1. Remove Title (H1)
+    let text = content.replace(/^#\s+(.*$)/m, '');
+
+    // 2. Remove Images
+    text = text.replace(/!\[.*?\]\(.*?\)/g, '');
+
+    // 3. Remove HTML/Scripts
+    text = text.replace(/<[^>]*>/g, '');
+
+    // 4. Remove Markdown formatting (**bold**, etc)
+    text = text.replace(/(\*\*|__)(.*?)\1/g, '$2');
+    text = text.replace(/(\*|_)(.*?)\1/g, '$2');
+
+    // 5. Remove blockquotes
+    text = text.replace(/^>\s+/gm, '');
+
+    // 6. Remove URL links but keep text [text](url) -> text
+    text = text.replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1');
+
+    // 7. Split into paragraphs
+    // We want a "substantial" paragraph, not just a short byline.
+    const paragraphs = text.split(/\n\s*\n/);
+
+    for (const p of paragraphs) {
+        const cleanP = p.trim();
+        // Assume a good summary paragraph has at least 10 chars and doesn't start with special chars
+        if (cleanP.length > 10 && !cleanP.startsWith('---')) {
+            return cleanP.replace(/\n/g, ' ');
+        }
+    }
+
+    return "";
+}
+
+// Accept a model reply that should be a JSON array of tags
+function parseTags(reply) {
+    if (!reply) return null;
+    try {
+        // Some models wrap the array in a ```json fence
+        const tags = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+        if (Array.isArray(tags) && tags.length > 0) {
+            return tags.map(t => String(t).trim()).filter(Boolean);
+        }
+    } catch (e) {
+        console.warn('      ⚠️  AI Tags parse error:', e.message);
+    }
+    return null;
+}
+
+// --- Response Cache ---
+
+function createCache({ enabled, cachePath }) {
+    let entries = null;
+
+    async function load() {
+        if (entries) return entries;
+        try {
+            entries = JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+        } catch {
+            entries = {};
+        }
+        return entries;
+    }
+
+    return {
+        key(parts) {
+            return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+        },
+        async get(key) {
+            if (!enabled) return undefined;
+            return (await load())[key];
+        },
+        async set(key, value) {
+            if (!enabled) return;
+            (await load())[key] = value;
+            await fs.writeFile(cachePath, JSON.stringify(entries, null, 2) + '\n');
+        },
+    };
+}
+
+// --- Transport ---
+
+function postJson(url, payload, { headers, timeoutMs }) {
+    const transport = new URL(url).protocol === 'http:' ? http : https;
+    const data = JSON.stringify(payload);
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data),
+                ...headers,
+            },
+            timeout: timeoutMs,
+        }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.write(data);
+        req.end();
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// --- Providers ---
+
+function createOpenAiProvider({ apiKey, baseUrl, model, timeoutMs, maxRetries, cache, taxonomy }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    // Returns the reply text, or null when every attempt failed
+    async function chat(messages, { temperature = 0.7, maxTokens = 100 } = {}) {
+        const cacheKey = cache.key(['openai', model, messages, temperature, maxTokens]);
+        const cached = await cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+
+        const payload = { model, messages, temperature, max_tokens: maxTokens };
+        const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) await sleep(500 * 2 ** (attempt - 1));
+            try {
+                const res = await postJson(endpoint, payload, { headers, timeoutMs });
+                if (res.status >= 200 && res.status < 300) {
+                    const reply = JSON.parse(res.body).choices?.[0]?.message?.content?.trim() || null;
+                    if (reply) await cache.set(cacheKey, reply);
+                    return reply;
+                }
+                console.warn(`      ⚠️  AI API request failed: ${res.status} ${res.body.slice(0, 200)}`);
+                if (!isRetryable(res.status)) return null;
+            } catch (e) {
+                console.warn(`      ⚠️  AI API request error (attempt ${attempt + 1}/${maxRetries + 1}):`, e.message);
+            }
+        }
+        return null;
+    }
+
+    return {
+        name: 'openai',
+        describe: () => `provider=openai, Key=${apiKey ? `loaded (${apiKey.length} chars)` : 'NOT SET'}, URL=${baseUrl}, Model=${model}`,
+        chat,
+        async generateSummary(content) {
+            return chat(buildSummaryMessages(content), { temperature: 0.7, maxTokens: 60 });
+        },
+        async generateTags(content) {
+            const reply = await chat(buildTagsMessages(content, taxonomy), { temperature: 0.3, maxTokens: 100 });
+            const tags = taxonomy.normalize(parseTags(reply) || []);
+            return tags.length > 0 ? tags : [taxonomy.defaultTag];
+        },
+    };
+}
+
+// Word boundaries only make sense around latin names; CJK aliases match as substrings
+function mentions(content, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = /^[\w\s.-]+$/.test(term) ? `\\b${escaped}\\b` : escaped;
+    return new RegExp(pattern, 'i').test(content);
+}
+
+function createHeuristicProvider({ taxonomy }) {
+    return {
+        name: 'heuristic',
+        describe: () => 'provider=heuristic (offline)',
+        // Free-form completion needs a model; callers must handle null
+        async chat() {
+            return null;
+        },
+        async generateSummary(content) {
+            const summary = extractSummaryFromContent(content);
+            if (!summary) return null;
+            return summary.length > 20 ? summary.substring(0, 20) + "..." : summary;
+        },
+        // Company tags only: mentioned by name or alias
+        async generateTags(content) {
+            const tags = taxonomy.byGroup('company')
+                .filter(def => [def.name, ...(def.aliases || [])].some(term => mentions(content, term)))
+                .map(def => def.name);
+            return tags.length > 0 ? tags : [taxonomy.defaultTag];
+        },
+    };
+}
+
+export function createAiProvider(options = {}) {
+    const env = process.env;
+    const config = {
+        apiKey: options.apiKey ?? env.AI_API_KEY ?? '',
+        baseUrl: options.baseUrl ?? env.AI_BASE_URL ?? 'https://api.openai.com/v1',
+        model: options.model ?? env.AI_MODEL ?? 'gpt-3.5-turbo',
+        timeoutMs: options.timeoutMs ?? Number(env.AI_TIMEOUT_MS || 30000),
+        maxRetries: options.maxRetries ?? Number(env.AI_MAX_RETRIES ?? 2),
+    };
+    const taxonomy = options.taxonomy ?? loadTaxonomy();
+    const name = options.provider ?? env.AI_PROVIDER ?? (config.apiKey ? 'openai' : 'heuristic');
+    const cache = createCache({
+        enabled: options.cache ?? env.AI_CACHE !== 'off',
+        cachePath: options.cachePath ?? CACHE_PATH,
+    });
+
+    switch (name) {
+        case 'openai':
+            return createOpenAiProvider({ ...config, cache, taxonomy });
+        case 'heuristic':
+            return createHeuristicProvider({ taxonomy });
+        default:
+            throw new Error(`Unknown AI provider "${name}" (expected openai or heuristic)`);
+    }
+}
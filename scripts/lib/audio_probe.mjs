@@ -0,0 +1,169 @@
+/**
+ * Audio Probe
+ *
+ * Works out an MP3's byte length and duration for the podcast feed (`audioLength` /
+ * `audioDuration` in post frontmatter) without downloading the whole file or needing
+ * ffprobe: a ranged GET of the first bytes gives the total size (Content-Range) and the
+ * first frame, whose Xing/Info or VBRI header has the frame count for VBR files; CBR
+ * files are timed from the size and bitrate.
+ *
+ *   const { length, duration } = await probeAudio('https://.../episode.mp3');
+ *   // duration is in seconds, undefined when the stream isn't a recognizable MP3
+ */
+
+const PROBE_BYTES = 64 * 1024;
+
+// kbps by [version][layer][index]; version 1 = MPEG-1, 2 = MPEG-2/2.5; layer 1..3
+const BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    },
+};
+
+// Hz by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000],
+};
+
+/** Size of a leading ID3v2 tag (header included), 0 when there is none. */
+function id3Size(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0;
+    // Syncsafe integer: 7 bits per byte
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    const hasFooter = (bytes[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+function parseFrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+    const [b0, b1, b2, b3] = bytes.subarray(offset, offset + 4);
+    if (b0 !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = b2 >> 4;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const version = versionBits === 3 ? 1 : 2;
+    const layer = 4 - layerBits;
+    const mono = b3 >> 6 === 3;
+    return {
+        version,
+        layer,
+        mono,
+        bitrate: BITRATES[version][layer][bitrateIndex] * 1000,
+        sampleRate: SAMPLE_RATES[versionBits][sampleRateIndex],
+        samplesPerFrame: layer === 1 ? 384 : layer === 3 && version === 2 ? 576 : 1152,
+    };
+}
+
+function readUint32(bytes, offset) {
+    return offset + 4 <= bytes.length
+        ? ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0
+        : undefined;
+}
+
+function readTag(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/** Frame count from a Xing/Info (LAME) or VBRI header in the first frame, if present. */
+function vbrFrameCount(bytes, offset, frame) {
+    // The Xing header follows the side information, whose size depends on version and channels
+    const sideInfo = frame.version === 1 ? (frame.mono ? 17 : 32) : frame.mono ? 9 : 17;
+    const xing = offset + 4 + sideInfo;
+    const tag = readTag(bytes, xing);
+    if (tag === 'Xing' || tag === 'Info') {
+        const flags = readUint32(bytes, xing + 4);
+        return flags !== undefined && flags & 0x01 ? readUint32(bytes, xing + 8) : undefined;
+    }
+    if (readTag(bytes, offset + 36) === 'VBRI') return readUint32(bytes, offset + 36 + 14);
+    return undefined;
+}
+
+/**
+ * Duration in seconds of an MP3 given its first bytes and total size.
+ * `bytes` must start at the beginning of the file; undefined if no frame is found.
+ */
+export function mp3Duration(bytes, totalLength) {
+    const audioStart = id3Size(bytes);
+    // Junk or padding before the first frame is common; give up after a few KB of it
+    const searchEnd = Math.min(bytes.length - 4, audioStart + 8192);
+    for (let offset = audioStart; offset <= searchEnd; offset++) {
+        const frame = parseFrameHeader(bytes, offset);
+        if (!frame) continue;
+        const frames = vbrFrameCount(bytes, offset, frame);
+        if (frames) return (frames * frame.samplesPerFrame) / frame.sampleRate;
+        return ((totalLength - offset) * 8) / frame.bitrate;
+    }
+    return undefined;
+}
+
+async function fetchRange(url, start, end) {
+    const response = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    // Servers without range support send the whole file, which is fine, just slower
+    const total = response.status === 206
+        ? Number(response.headers.get('content-range')?.split('/')[1])
+        : Number(response.headers.get('content-length'));
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return { bytes, total: Number.isFinite(total) && total > 0 ? total : bytes.length };
+}
+
+/**
+ * Byte length and duration (seconds) of a remote MP3.
+ * Throws on network errors; `duration` is undefined when the file can't be parsed.
+ */
+export async function probeAudio(url) {
+    let { bytes, total } = await fetchRange(url, 0, PROBE_BYTES - 1);
+
+    // Embedded cover art can make the ID3 tag bigger than the first range
+    const tagSize = id3Size(bytes);
+    if (tagSize + 4096 > bytes.length && tagSize < total) {
+        const rest = await fetchRange(url, tagSize, tagSize + PROBE_BYTES - 1);
+        const joined = new Uint8Array(tagSize + rest.bytes.length);
+        joined.set(bytes.subarray(0, 10));
+        joined.set(rest.bytes, tagSize);
+        bytes = joined;
+    }
+
+    const duration = mp3Duration(bytes, total);
+    return { length: total, duration: duration === undefined ? undefined : Math.round(duration) };
+}
+
+/** `12:34` or `1:02:03`, the form `audioDuration` is written in. */
+export function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Frontmatter text (without the `---` fences) with `audioLength` / `audioDuration` set to
+ * the probe result, written right after `audioUrl`; fields the probe couldn't tell are left alone.
+ */
+export function withAudioMetadata(frontmatter, { length, duration }) {
+    const fields = [
+        length ? `audioLength: ${length}` : null,
+        duration !== undefined ? `audioDuration: "${formatDuration(duration)}"` : null,
+    ].filter(Boolean);
+    const keys = fields.map(field => field.split(':')[0]);
+    const lines = frontmatter.split('\n').filter(line => !keys.some(key => line.startsWith(`${key}:`)));
+    const at = lines.findIndex(line => line.startsWith('audioUrl:'));
+    lines.splice(at === -1 ? lines.length : at + 1, 0, ...fields);
+    return lines.join('\n');
+}
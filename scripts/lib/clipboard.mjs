@@ -0,0 +1,71 @@
+/**
+ * Clipboard Access
+ *
+ * Reads the system clipboard through whichever command-line tool the platform has:
+ *   - macOS:           pbpaste (text), osascript (HTML flavor)
+ *   - Linux, Wayland:  wl-paste
+ *   - Linux, X11:      xclip, then xsel (text only)
+ *
+ * Copying from a browser puts both plain text and HTML on the clipboard; pass
+ * { html: true } to get the HTML flavor (convert it with html_to_markdown.mjs).
+ */
+
+import { spawnSync } from 'child_process';
+
+// Candidate commands in order of preference: [command, args]
+function candidates({ html }) {
+    if (process.platform === 'darwin') {
+        return html
+            ? [['osascript', ['-e', 'the clipboard as «class HTML»']]]
+            : [['pbpaste', []]];
+    }
+
+    const wayland = Boolean(process.env.WAYLAND_DISPLAY);
+    const wlPaste = html ? ['wl-paste', ['--no-newline', '--type', 'text/html']] : ['wl-paste', ['--no-newline']];
+    const xclip = html
+        ? ['xclip', ['-selection', 'clipboard', '-o', '-t', 'text/html']]
+        : ['xclip', ['-selection', 'clipboard', '-o']];
+    const xsel = ['xsel', ['--clipboard', '--output']];
+
+    const x11 = html ? [xclip] : [xclip, xsel];
+    return wayland ? [wlPaste, ...x11] : [...x11, wlPaste];
+}
+
+// osascript prints the HTML flavor as «data HTML3C68746D6C3E...» (hex-encoded bytes)
+function decodeAppleScriptData(output) {
+    const match = output.match(/«data HTML([0-9A-Fa-f]*)»/);
+    return match ? Buffer.from(match[1], 'hex').toString('utf-8') : output;
+}
+
+/**
+ * Read the clipboard as text, or as HTML when `html` is set.
+ * Throws when no supported tool is installed or none of them has the requested flavor.
+ */
+export function readClipboard({ html = false } = {}) {
+    const tried = [];
+    for (const [command, args] of candidates({ html })) {
+        const result = spawnSync(command, args, { encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+        if (result.error?.code === 'ENOENT') {
+            tried.push(`${command} (not installed)`);
+            continue;
+        }
+        if (result.status !== 0) {
+            tried.push(`${command} (${(result.stderr || `exit code ${result.status}`).trim()})`);
+            continue;
+        }
+        return command === 'osascript' ? decodeAppleScriptData(result.stdout) : result.stdout;
+    }
+
+    const hint = process.platform === 'darwin' ? '' : ' Install wl-clipboard (Wayland) or xclip (X11), or pipe the content in with --stdin.';
+    throw new Error(`Could not read the ${html ? 'HTML ' : ''}clipboard. Tried: ${tried.join(', ')}.${hint}`);
+}
+
+/** Read all of stdin as UTF-8 text. */
+export async function readStdin(stream = process.stdin) {
+    if (stream.isTTY) {
+        throw new Error('--stdin expects piped input, e.g. `cat post.md | npm run import:content -- --stdin`');
+    }
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8');
+}
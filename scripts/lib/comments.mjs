@@ -0,0 +1,318 @@
+/**
+ * Comments: storage, validation, Markdown sanitization and the HTTP handler
+ *
+ * Shared by the API server (scripts/comments_server.mjs) and the moderation CLI
+ * (scripts/comments.mjs). New comments are stored as `pending`; only approved ones are
+ * exported to src/data/comments.json, which the site reads at build time.
+ *
+ * The handler takes a standard `Request` and returns a `Response`, so besides the local
+ * Node server it can be mounted as an Astro endpoint (with an adapter) or a serverless
+ * function:
+ *
+ *   const handle = createCommentsHandler({ store: createJsonStore(process.env.COMMENTS_DB) });
+ *   export const ALL = ({ request, clientAddress }) => handle(request, clientAddress);
+ *
+ * The store is a JSON file; on serverless platforms point COMMENTS_DB at a persistent disk.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMarkdownProcessor } from '@astrojs/markdown-remark';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** Where approved comments are exported for the build, as `{ thread: [...] }` */
+export const EXPORT_PATH = path.join(__dirname, '../../src/data/comments.json');
+
+/** Default local database (ignored by git) */
+export const DEFAULT_DB_PATH = path.join(__dirname, '../.comments.json');
+
+export const LIMITS = {
+    author: 40,
+    url: 200,
+    body: 5000,
+};
+
+/** At most `max` comments from one address within `windowMs` */
+export const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+
+/** Hidden form field that only bots fill in */
+export const HONEYPOT_FIELD = 'company';
+
+// `posts/<slug>` or `notes/<slug>`; slugs may be Chinese
+const THREAD_PATTERN = /^(posts|notes)\/[^\s/?#]{1,200}$/;
+
+// --- Storage ---
+
+/**
+ * JSON file store. `update()` calls run one after another, so concurrent requests in one
+ * process can't overwrite each other; the file is replaced atomically.
+ */
+export function createJsonStore(file = DEFAULT_DB_PATH) {
+    let queue = Promise.resolve();
+
+    async function read() {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${error.message}`);
+            // The salt keeps stored address hashes from being reversed with a lookup table
+            return { salt: crypto.randomBytes(16).toString('hex'), comments: [] };
+        }
+    }
+
+    async function write(db) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify(db, null, 2) + '\n');
+        await fs.rename(tmp, file);
+    }
+
+    return {
+        file,
+        read,
+        /** Runs `fn(db)`; the db is saved unless it returns `false`. Resolves with `db`. */
+        update(fn) {
+            const run = queue.then(async () => {
+                const db = await read();
+                if ((await fn(db)) !== false) await write(db);
+                return db;
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+    };
+}
+
+function hashAddress(address, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${address}`).digest('hex').slice(0, 16);
+}
+
+function newId(comments) {
+    let id;
+    do id = crypto.randomBytes(4).toString('hex');
+    while (comments.some(comment => comment.id === id));
+    return id;
+}
+
+// --- Validation ---
+
+export class CommentError extends Error {
+    constructor(message, status = 400, retryAfter = undefined) {
+        super(message);
+        this.status = status;
+        /** Seconds, for 429 */
+        this.retryAfter = retryAfter;
+    }
+}
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.replace(/\r\n?/g, '\n').trim() : '';
+}
+
+/** Checks a submitted comment and returns the fields to store. Throws CommentError. */
+export function validateComment(input, comments) {
+    const thread = cleanText(input.thread);
+    const author = cleanText(input.author).replace(/\s+/g, ' ');
+    const url = cleanText(input.url);
+    const body = cleanText(input.body);
+    const parentId = cleanText(input.parentId) || undefined;
+
+    if (!THREAD_PATTERN.test(thread)) throw new CommentError('Unknown thread');
+    if (!author) throw new CommentError('Name is required');
+    if (author.length > LIMITS.author) throw new CommentError(`Name is longer than ${LIMITS.author} characters`);
+    if (!body) throw new CommentError('Comment is empty');
+    if (body.length > LIMITS.body) throw new CommentError(`Comment is longer than ${LIMITS.body} characters`);
+    if (url && (url.length > LIMITS.url || !isSafeUrl(url, ['http:', 'https:']))) {
+        throw new CommentError('Website must be an http(s) URL');
+    }
+    if (parentId) {
+        const parent = comments.find(comment => comment.id === parentId);
+        // Replies only to comments readers can see
+        if (!parent || parent.thread !== thread || parent.status !== 'approved') {
+            throw new CommentError('The comment you are replying to does not exist', 404);
+        }
+    }
+    return { thread, parentId, author, url: url || undefined, body };
+}
+
+function isSafeUrl(value, protocols) {
+    try {
+        return protocols.includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// --- Markdown ---
+
+const BLOCK_TAGS = new Set(['p', 'blockquote', 'pre', 'ul', 'ol', 'li', 'hr']);
+const INLINE_TAGS = new Set(['a', 'br', 'code', 'del', 'em', 'strong']);
+
+function textNode(value) {
+    return { type: 'text', value };
+}
+
+// Allowlist for the HTML Markdown produces. Raw HTML in the comment is shown as text,
+// headings become paragraphs, images become links, and links get rel="nofollow ugc".
+function sanitizeNode(node) {
+    if (node.type === 'raw') return [textNode(node.value)];
+    if (node.type === 'text') return [node];
+    if (node.type !== 'element') return [];
+
+    const children = (node.children ?? []).flatMap(sanitizeNode);
+    const { tagName, properties = {} } = node;
+
+    if (tagName === 'img') {
+        const src = String(properties.src ?? '');
+        const label = textNode(String(properties.alt || src));
+        return isSafeUrl(src, ['http:', 'https:']) ? [link(src, [label])] : [label];
+    }
+    if (tagName === 'a') {
+        const href = String(properties.href ?? '');
+        return isSafeUrl(href, ['http:', 'https:', 'mailto:']) ? [link(href, children)] : children;
+    }
+    if (/^h[1-6]$/.test(tagName)) {
+        return [{ type: 'element', tagName: 'p', properties: {}, children: [{ type: 'element', tagName: 'strong', properties: {}, children }] }];
+    }
+    if (BLOCK_TAGS.has(tagName) || INLINE_TAGS.has(tagName)) {
+        return [{ type: 'element', tagName, properties: {}, children }];
+    }
+    // Anything else (tables, task list checkboxes, footnotes…) keeps only its content
+    return children;
+}
+
+function link(href, children) {
+    return { type: 'element', tagName: 'a', properties: { href, rel: ['nofollow', 'ugc', 'noopener'] }, children };
+}
+
+function rehypeSanitizeComment() {
+    return (tree) => {
+        tree.children = tree.children.flatMap(sanitizeNode);
+    };
+}
+
+let processor;
+
+/** Comment Markdown → safe HTML */
+export async function renderCommentMarkdown(body) {
+    processor ??= createMarkdownProcessor({
+        syntaxHighlight: false,
+        rehypePlugins: [rehypeSanitizeComment],
+    });
+    const { code } = await (await processor).render(body);
+    return code.trim();
+}
+
+// --- Export ---
+
+/**
+ * Approved comments grouped by thread, oldest first, ready for src/data/comments.json.
+ * Replies whose parent is not approved are left out along with it.
+ */
+export async function exportComments(db) {
+    const approved = new Map(db.comments.filter(comment => comment.status === 'approved').map(comment => [comment.id, comment]));
+    const visible = (comment) => !comment.parentId || (approved.has(comment.parentId) && visible(approved.get(comment.parentId)));
+
+    const threads = {};
+    const comments = [...approved.values()].filter(visible).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const comment of comments) {
+        (threads[comment.thread] ??= []).push({
+            id: comment.id,
+            ...(comment.parentId && { parentId: comment.parentId }),
+            author: comment.author,
+            ...(comment.url && { url: comment.url }),
+            html: await renderCommentMarkdown(comment.body),
+            date: comment.createdAt,
+        });
+    }
+    return Object.fromEntries(Object.entries(threads).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export async function writeExport(db, file = EXPORT_PATH) {
+    const threads = await exportComments(db);
+    await fs.writeFile(file, JSON.stringify(threads, null, 2) + '\n');
+    return Object.values(threads).reduce((sum, comments) => sum + comments.length, 0);
+}
+
+/** The comment and every reply below it */
+export function withReplies(comments, id) {
+    const ids = new Set([id]);
+    for (let grew = true; grew;) {
+        grew = false;
+        for (const comment of comments) {
+            if (comment.parentId && ids.has(comment.parentId) && !ids.has(comment.id)) {
+                ids.add(comment.id);
+                grew = true;
+            }
+        }
+    }
+    return ids;
+}
+
+// --- HTTP ---
+
+function json(status, data, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+    });
+}
+
+/**
+ * `POST` a comment as JSON `{ thread, parentId?, author, url?, body }`; answers 202 with the
+ * pending comment's id. `allowedOrigins` lists the site origins allowed to call it from the
+ * browser (`*` for any).
+ */
+export function createCommentsHandler({ store, allowedOrigins = ['*'], rateLimit = RATE_LIMIT, now = () => new Date() }) {
+    function corsHeaders(request) {
+        const origin = request.headers.get('Origin');
+        if (!origin) return {};
+        const allowed = allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+        return allowed
+            ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Methods': 'POST, OPTIONS', 'Access-Control-Allow-Headers': 'Content-Type', Vary: 'Origin' }
+            : {};
+    }
+
+    return async function handleCommentsRequest(request, clientAddress = 'unknown') {
+        const cors = corsHeaders(request);
+        if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: cors });
+        if (request.method !== 'POST') return json(405, { error: 'Method not allowed' }, { ...cors, Allow: 'POST, OPTIONS' });
+
+        let input;
+        try {
+            input = await request.json();
+        } catch {
+            return json(400, { error: 'Expected a JSON body' }, cors);
+        }
+        if (!input || typeof input !== 'object') return json(400, { error: 'Expected a JSON body' }, cors);
+
+        // Pretend it worked, so the bot has nothing to learn from
+        if (cleanText(input[HONEYPOT_FIELD])) return json(202, { status: 'pending' }, cors);
+
+        try {
+            let created;
+            await store.update(async (db) => {
+                const date = now();
+                const address = hashAddress(clientAddress, db.salt);
+                const since = date.valueOf() - rateLimit.windowMs;
+                const recent = db.comments.filter(comment => comment.address === address && Date.parse(comment.createdAt) > since);
+                if (recent.length >= rateLimit.max) {
+                    const oldest = Math.min(...recent.map(comment => Date.parse(comment.createdAt)));
+                    throw new CommentError('Too many comments, please try again later', 429, Math.ceil((oldest + rateLimit.windowMs - date.valueOf()) / 1000));
+                }
+
+                const fields = validateComment(input, db.comments);
+                created = { id: newId(db.comments), ...fields, status: 'pending', createdAt: date.toISOString(), address };
+                db.comments.push(created);
+            });
+            return json(202, { id: created.id, status: created.status }, cors);
+        } catch (error) {
+            if (!(error instanceof CommentError)) throw error;
+            const retry = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {};
+            return json(error.status, { error: error.message }, { ...cors, ...retry });
+        }
+    };
+}
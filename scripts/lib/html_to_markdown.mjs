@@ -0,0 +1,64 @@
+/**
+ * HTML -> Markdown
+ *
+ * Turns HTML copied from a browser (or saved from a web page) into Markdown that the
+ * importer's image/audio pipeline understands: ATX headings, fenced code, GFM tables,
+ * and images as ![alt](url "title") with absolute URLs.
+ */
+
+import TurndownService from 'turndown';
+import { gfm } from 'turndown-plugin-gfm';
+
+/**
+ * @param {string | Node} html an HTML string or an already parsed DOM node
+ * @param {{ baseUrl?: string }} [options] resolves relative image/link URLs (e.g. the page URL)
+ */
+export function htmlToMarkdown(html, { baseUrl } = {}) {
+    const turndown = new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        bulletListMarker: '-',
+        emDelimiter: '*',
+    });
+    turndown.use(gfm);
+    turndown.remove(['script', 'style', 'noscript', 'iframe', 'head']);
+
+    const resolve = (url) => {
+        if (!url || !baseUrl) return url;
+        try {
+            return new URL(url, baseUrl).href;
+        } catch {
+            return url;
+        }
+    };
+
+    // Lazy-loaded images keep the real URL in data-src; the default rule only reads src
+    turndown.addRule('image', {
+        filter: 'img',
+        replacement: (_, node) => {
+            const src = resolve(node.getAttribute('data-src') || node.getAttribute('src'));
+            if (!src || src.startsWith('data:')) return '';
+            const alt = (node.getAttribute('alt') || '').replace(/[\[\]\n]/g, ' ').trim();
+            const title = (node.getAttribute('title') || '').replace(/"/g, '\\"');
+            return `![${alt}](${src}${title ? ` "${title}"` : ''})`;
+        },
+    });
+
+    turndown.addRule('link', {
+        filter: (node) => node.nodeName === 'A' && node.getAttribute('href'),
+        replacement: (content, node) => {
+            const href = resolve(node.getAttribute('href'));
+            return content.trim() ? `[${content}](${href})` : '';
+        },
+    });
+
+    // Browsers wrap the copied selection in <!--StartFragment--> ... <!--EndFragment-->
+    const fragment = typeof html === 'string'
+        ? html.match(/<!--StartFragment-->([\s\S]*)<!--EndFragment-->/)?.[1] ?? html
+        : html;
+
+    return turndown
+        .turndown(fragment)
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
@@ -0,0 +1,92 @@
+/**
+ * Import Manifest
+ *
+ * Records what the importer has written so that re-running an import is idempotent:
+ * for every post slug we keep the source path, a hash of the source content and the
+ * remote image URL -> local file mapping.
+ *
+ * Stored as JSON at scripts/.import-manifest.json:
+ *   {
+ *     "version": 1,
+ *     "posts": {
+ *       "<slug>": {
+ *         "source": "/abs/path/to/file.md" | null,
+ *         "hash": "<sha256 of source content>",
+ *         "images": { "<remote url>": "img-xxxx.jpg" },
+ *         "importedAt": "2025-12-18T08:00:00.000Z",
+ *         "updatedAt": "2025-12-18T08:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MANIFEST_PATH = path.join(__dirname, '../.import-manifest.json');
+
+const MANIFEST_VERSION = 1;
+
+export function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export async function loadManifest(manifestPath = MANIFEST_PATH) {
+    try {
+        const raw = await fs.readFile(manifestPath, 'utf-8');
+        const data = JSON.parse(raw);
+        return { version: MANIFEST_VERSION, posts: data.posts || {} };
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.warn(`⚠️  Could not read import manifest, starting fresh: ${e.message}`);
+        }
+        return { version: MANIFEST_VERSION, posts: {} };
+    }
+}
+
+export async function saveManifest(manifest, manifestPath = MANIFEST_PATH) {
+    // Sort slugs so the file diffs cleanly between runs
+    const posts = Object.fromEntries(
+        Object.entries(manifest.posts).sort(([a], [b]) => a.localeCompare(b))
+    );
+    await fs.writeFile(manifestPath, JSON.stringify({ version: MANIFEST_VERSION, posts }, null, 2) + '\n');
+}
+
+// Find an existing entry. Re-exports usually land in a new download folder, so after the
+// exact source path an unchanged source is recognized by its hash, and a changed one by its
+// file name under the same slug. Entries without a source (clipboard/stdin imports) match
+// on slug alone. A slug taken by a differently named file is an error rather than an
+// update, or two sources would overwrite each other.
+export function findEntry(manifest, { source, hash, slug }) {
+    const entries = Object.entries(manifest.posts);
+    const match = (test) => {
+        const found = entries.find(([, entry]) => test(entry));
+        return found ? { slug: found[0], entry: found[1] } : null;
+    };
+    const bySource = source && match((entry) => entry.source === source);
+    if (bySource) return bySource;
+    const byHash = match((entry) => entry.hash === hash);
+    if (byHash) return byHash;
+
+    const entry = manifest.posts[slug];
+    if (!entry) return null;
+    if (entry.source && (!source || path.basename(entry.source) !== path.basename(source))) {
+        throw new Error(`Slug "${slug}" was already imported from ${entry.source}; rename one of the files`);
+    }
+    return { slug, entry };
+}
+
+export function recordEntry(manifest, slug, { source, hash, images }) {
+    const now = new Date().toISOString();
+    const previous = manifest.posts[slug];
+    manifest.posts[slug] = {
+        source: source || null,
+        hash,
+        images: images || {},
+        importedAt: previous?.importedAt || now,
+        updatedAt: now,
+    };
+}
@@ -0,0 +1,226 @@
+/**
+ * Library Metadata Providers
+ *
+ * Turn what you have at hand (an ISBN, a YouTube/Bilibili URL, a Spotify URL) into library
+ * frontmatter fields and a cover URL. Every provider is `{ name, match(input), fetch(ref, client) }`:
+ * `match` parses the input or returns null, `fetch` returns metadata or null when the service
+ * doesn't know the item, so the next matching provider gets a turn (ISBN: Open Library, then
+ * Google Books).
+ *
+ * Metadata: { type, title, artist?, author?, show?, source?, videoId?, spotifyUrl?, link?, coverUrl? }
+ *
+ * Configuration (env vars, all optional):
+ *   LIBRARY_METADATA_BASE_URL    send every request to this server instead, as
+ *                                `<base>/<original host><original path>`; used with
+ *                                scripts/library_fixture_server.mjs to work offline
+ *   LIBRARY_METADATA_TIMEOUT_MS  per-request timeout (default 15000)
+ */
+
+import https from 'https';
+import http from 'http';
+
+const MAX_REDIRECTS = 5;
+
+// --- Transport ---
+
+export function createHttpClient(options = {}) {
+    const env = process.env;
+    const baseUrl = (options.baseUrl ?? env.LIBRARY_METADATA_BASE_URL ?? '').replace(/\/+$/, '');
+    const timeoutMs = options.timeoutMs ?? Number(env.LIBRARY_METADATA_TIMEOUT_MS || 15000);
+
+    // https://openlibrary.org/api/books?x → <base>/openlibrary.org/api/books?x
+    const rewrite = (url) => {
+        if (!baseUrl) return url;
+        const { host, pathname, search } = new URL(url);
+        return `${baseUrl}/${host}${pathname}${search}`;
+    };
+
+    function request(url, redirects = 0) {
+        const transport = new URL(url).protocol === 'http:' ? http : https;
+        return new Promise((resolve, reject) => {
+            const req = transport.get(url, {
+                timeout: timeoutMs,
+                headers: { 'User-Agent': 'Mozilla/5.0 (library:add)', 'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8' },
+            }, (res) => {
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (redirects >= MAX_REDIRECTS) return reject(new Error(`Too many redirects for ${url}`));
+                    return resolve(request(new URL(res.headers.location, url).href, redirects + 1));
+                }
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            });
+            req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+            req.on('error', reject);
+        });
+    }
+
+    // Only the first request is rewritten; redirects from the fixture server stay on it
+    const get = (url) => request(rewrite(url));
+
+    return {
+        describe: () => (baseUrl ? `fixture server ${baseUrl}` : 'live services'),
+        get,
+        async json(url) {
+            const res = await get(url);
+            if (res.status === 404) return null;
+            if (res.status !== 200) throw new Error(`GET ${url} failed (${res.status})`);
+            return JSON.parse(res.body.toString('utf-8'));
+        },
+        async text(url) {
+            const res = await get(url);
+            if (res.status !== 200) return null;
+            return res.body.toString('utf-8');
+        },
+    };
+}
+
+function metaContent(html, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = html?.match(new RegExp(`<meta[^>]+(?:name|property)="${escaped}"[^>]+content="([^"]*)"`, 'i'));
+    return match?.[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;|&#39;/g, "'");
+}
+
+// --- Providers ---
+
+const openLibrary = {
+    name: 'openlibrary',
+    match: matchIsbn,
+    async fetch({ isbn }, client) {
+        const key = `ISBN:${isbn}`;
+        const data = await client.json(`https://openlibrary.org/api/books?bibkeys=${key}&format=json&jscmd=data`);
+        const book = data?.[key];
+        if (!book) return null;
+        return {
+            type: 'book',
+            title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+            author: book.authors?.map((author) => author.name).join(', ') || undefined,
+            link: book.url,
+            coverUrl: book.cover?.large ?? book.cover?.medium,
+        };
+    },
+};
+
+const googleBooks = {
+    name: 'googlebooks',
+    match: matchIsbn,
+    async fetch({ isbn }, client) {
+        const data = await client.json(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`);
+        const book = data?.items?.[0]?.volumeInfo;
+        if (!book) return null;
+        return {
+            type: 'book',
+            title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+            author: book.authors?.join(', '),
+            link: book.infoLink,
+            // Google serves small thumbnails over http by default
+            coverUrl: book.imageLinks?.thumbnail?.replace(/^http:/, 'https:').replace('&edge=curl', ''),
+        };
+    },
+};
+
+const youtube = {
+    name: 'youtube',
+    match(input) {
+        const match = input.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/)|youtu\.be\/)([\w-]{11})/);
+        return match ? { videoId: match[1] } : null;
+    },
+    async fetch({ videoId }, client) {
+        const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+        const data = await client.json(`https://www.youtube.com/oembed?url=${encodeURIComponent(watchUrl)}&format=json`);
+        if (!data) return null;
+        return {
+            type: 'video',
+            title: data.title,
+            author: data.author_name,
+            source: 'youtube',
+            videoId,
+            coverUrl: data.thumbnail_url,
+        };
+    },
+};
+
+const bilibili = {
+    name: 'bilibili',
+    match(input) {
+        const match = input.match(/\b(BV[0-9A-Za-z]{10})\b/);
+        return match ? { bvid: match[1] } : null;
+    },
+    async fetch({ bvid }, client) {
+        const data = await client.json(`https://api.bilibili.com/x/web-interface/view?bvid=${bvid}`);
+        if (!data || data.code !== 0) return null;
+        return {
+            type: 'video',
+            title: data.data.title,
+            author: data.data.owner?.name,
+            source: 'bilibili',
+            videoId: bvid,
+            coverUrl: data.data.pic?.replace(/^http:/, 'https:'),
+        };
+    },
+};
+
+const spotify = {
+    name: 'spotify',
+    match(input) {
+        const match = input.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(track|album|episode|show)\/([A-Za-z0-9]+)/);
+        return match ? { kind: match[1], id: match[2] } : null;
+    },
+    async fetch({ kind, id }, client) {
+        const url = `https://open.spotify.com/${kind}/${id}`;
+        const data = await client.json(`https://open.spotify.com/oembed?url=${encodeURIComponent(url)}`);
+        if (!data) return null;
+
+        // oEmbed has no artist or show name; the page's meta tags do
+        const page = await client.text(url);
+        const podcast = kind === 'episode' || kind === 'show';
+        return {
+            type: podcast ? 'podcast' : 'music',
+            title: data.title,
+            artist: podcast ? undefined : metaContent(page, 'music:musician_description'),
+            // "Listen to this episode from <show> on Spotify. ..."
+            show: kind === 'episode' ? metaContent(page, 'og:description')?.match(/from (.+?) on Spotify/)?.[1] : undefined,
+            spotifyUrl: url,
+            coverUrl: data.thumbnail_url,
+        };
+    },
+};
+
+function matchIsbn(input) {
+    const isbn = input.replace(/[\s-]/g, '').replace(/^isbn:?/i, '');
+    return /^(?:\d{9}[\dX]|97[89]\d{10})$/i.test(isbn) ? { isbn: isbn.toUpperCase() } : null;
+}
+
+/** In the order they are tried; the first one that matches the input and knows the item wins. */
+export const providers = [openLibrary, googleBooks, youtube, bilibili, spotify];
+
+/**
+ * Resolve an ISBN or URL into `{ provider, metadata }`.
+ * `only` restricts the lookup to one provider by name.
+ */
+export async function resolveMetadata(input, { client = createHttpClient(), only } = {}) {
+    const candidates = providers.filter((provider) => !only || provider.name === only);
+    if (only && candidates.length === 0) {
+        throw new Error(`Unknown provider "${only}" (expected ${providers.map((p) => p.name).join(', ')})`);
+    }
+
+    let matched = false;
+    for (const provider of candidates) {
+        const ref = provider.match(input.trim());
+        if (!ref) continue;
+        matched = true;
+        try {
+            const metadata = await provider.fetch(ref, client);
+            if (metadata?.title) return { provider: provider.name, metadata };
+            console.warn(`   ⚠️  ${provider.name}: nothing found`);
+        } catch (e) {
+            console.warn(`   ⚠️  ${provider.name}: ${e.message}`);
+        }
+    }
+    if (!matched) throw new Error(`Not an ISBN, YouTube/Bilibili or Spotify URL: ${input}`);
+    return null;
+}
@@ -0,0 +1,447 @@
+/**
+ * Source Adapters
+ *
+ * The importer hands every source document to the adapter for its format. An adapter
+ * turns it into the Markdown the rest of the pipeline understands (`![](...)` images
+ * with remote or source-relative paths, an optional `[Audio](....mp3)` line) plus the
+ * metadata the source already carries, so title/date/tags are kept instead of regenerated:
+ *
+ *   - obsidian: ![[embeds]], [[wikilinks]], %%comments%%, ==highlights==, > [!callouts]
+ *   - notion:   hash-suffixed file/folder names, property lines under the title, <aside> callouts
+ *   - html:     saved article pages, including WeChat (mp.weixin.qq.com) articles
+ *   - youmind:  Youmind Markdown exports (the fallback)
+ *
+ * Every adapter exposes { name, detect(input), adapt(input) }:
+ *   input:  { content, filePath, sourceDir, resolvePostLink(title) -> url | null }
+ *           (filePath/sourceDir are null for clipboard and stdin input)
+ *   result: { name, body, meta: { title, description, pubDate, tags, category, audioUrl, draft, extra } }
+ *           `extra` holds the other posts-schema keys (series, lang, chapters…) exactly as written
+ *           `name` is the cleaned source name the slug is derived from (null = use the title)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import domino from '@mixmark-io/domino';
+import { slug as githubSlug } from 'github-slugger';
+import { htmlToMarkdown } from './html_to_markdown.mjs';
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.bmp']);
+const NOTION_HASH = /\s+[0-9a-f]{32}(?=\.md$|\/|$)/i;
+
+// --- Shared Helpers ---
+
+/** Source file name without extension and without Notion's " <32-hex id>" suffix. */
+export function cleanSourceName(filename) {
+    return decodeURIComponent(path.basename(filename))
+        .replace(/\.(md|markdown|html?)$/i, '')
+        .replace(NOTION_HASH, '')
+        .trim();
+}
+
+// Local calendar date, so "December 15, 2025 0:30" stays on the 15th in any time zone
+function localDate(date) {
+    if (isNaN(date)) return undefined;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDate(value) {
+    if (!value) return undefined;
+    if (value instanceof Date) return isNaN(value) ? undefined : value.toISOString().slice(0, 10);
+    const text = String(value).trim();
+    // 2025年12月15日 / 2025-12-15 / 2025/12/15
+    const ymd = text.match(/(\d{4})\s*[年\-/.]\s*(\d{1,2})\s*[月\-/.]\s*(\d{1,2})/);
+    if (ymd) return `${ymd[1]}-${ymd[2].padStart(2, '0')}-${ymd[3].padStart(2, '0')}`;
+    // Unix timestamps (WeChat's `var ct`)
+    if (/^\d{10}$/.test(text)) return localDate(new Date(Number(text) * 1000));
+    return localDate(new Date(text));
+}
+
+function toTagList(value) {
+    if (!value) return undefined;
+    const list = Array.isArray(value) ? value : String(value).split(/[,，、]/);
+    const tags = list.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean);
+    return tags.length > 0 ? tags : undefined;
+}
+
+// Known frontmatter/property keys in the spellings Obsidian, Notion and Youmind use
+const META_KEYS = {
+    title: ['title', '标题'],
+    description: ['description', 'summary', 'excerpt', '摘要', '描述'],
+    pubDate: ['pubdate', 'date', 'published', 'publish date', 'created', 'created time', '日期', '发布日期', '创建时间'],
+    tags: ['tags', 'tag', 'keywords', '标签'],
+    category: ['category', '分类'],
+    audioUrl: ['audiourl', 'audio'],
+    draft: ['draft', '草稿'],
+};
+
+// Posts-schema keys without aliases; they are carried over untouched so nothing the
+// source set (a series, a translation link, chapters…) is lost on import
+const PASSTHROUGH_KEYS = ['audioDuration', 'audioLength', 'chapters', 'transcript', 'series', 'unlisted', 'relatedWork', 'lang', 'translationOf'];
+
+function metaFromFields(fields) {
+    const lookup = new Map(Object.entries(fields).map(([key, value]) => [key.trim().toLowerCase(), value]));
+    const pick = (field) => META_KEYS[field].map(key => lookup.get(key)).find(value => value !== undefined && value !== null && value !== '');
+
+    const meta = {
+        title: pick('title') ? String(pick('title')).trim() : undefined,
+        description: pick('description') ? String(pick('description')).trim() : undefined,
+        pubDate: formatDate(pick('pubDate')),
+        tags: toTagList(pick('tags')),
+        category: pick('category') ? String(pick('category')).trim() : undefined,
+        audioUrl: /^https?:\/\//.test(pick('audioUrl') ?? '') ? pick('audioUrl') : undefined,
+        draft: pick('draft') === true || pick('draft') === 'true' ? true : undefined,
+    };
+    const extra = Object.fromEntries(PASSTHROUGH_KEYS
+        .map(key => [key, lookup.get(key.toLowerCase())])
+        .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    if (Object.keys(extra).length > 0) meta.extra = extra;
+    return Object.fromEntries(Object.entries(meta).filter(([, value]) => value !== undefined));
+}
+
+/** Split off a YAML frontmatter block; unparsable YAML is left in the body with a warning. */
+export function parseFrontmatter(content) {
+    const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) return { data: {}, body: content };
+    try {
+        const data = YAML.parse(match[1]) ?? {};
+        return { data: typeof data === 'object' ? data : {}, body: match[2] };
+    } catch (e) {
+        console.warn(`      ⚠️  Could not parse frontmatter: ${e.message}`);
+        return { data: {}, body: content };
+    }
+}
+
+// Apply `transform` to the Markdown outside fenced code blocks and inline code spans
+function outsideCode(markdown, transform) {
+    return markdown
+        .split(/(^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)[ \t]*$)/m)
+        .map((part, i) => {
+            if (i % 2 === 1) return part;
+            return part
+                .split(/(`[^`\n]+`)/)
+                .map((segment, j) => (j % 2 === 1 ? segment : transform(segment)))
+                .join('');
+        })
+        .join('');
+}
+
+const CALLOUTS = {
+    note: ['📝', '注意'],
+    info: ['ℹ️', '说明'],
+    tip: ['💡', '提示'],
+    hint: ['💡', '提示'],
+    important: ['📌', '重要'],
+    abstract: ['📌', '摘要'],
+    summary: ['📌', '摘要'],
+    tldr: ['📌', '摘要'],
+    todo: ['☑️', '待办'],
+    success: ['✅', '完成'],
+    check: ['✅', '完成'],
+    done: ['✅', '完成'],
+    question: ['❓', '问题'],
+    faq: ['❓', '问题'],
+    warning: ['⚠️', '警告'],
+    caution: ['⚠️', '警告'],
+    attention: ['⚠️', '警告'],
+    failure: ['❌', '失败'],
+    danger: ['⛔', '危险'],
+    error: ['⛔', '错误'],
+    bug: ['🐞', 'Bug'],
+    example: ['📋', '示例'],
+    quote: ['💬', '引用'],
+    cite: ['💬', '引用'],
+};
+
+/**
+ * Callouts are normalized to a plain blockquote whose first line is the bold title,
+ * which renders everywhere (site, RSS readers) without a remark plugin:
+ *   > [!tip]- Title     ->   > **💡 Title**
+ *   <aside>💡 text</aside>  ->   > 💡 text
+ */
+function normalizeCallouts(markdown) {
+    return markdown
+        .replace(/^((?:>[ \t]*)+)\[!(\w+)\][+-]?[ \t]*(.*)$/gm, (_, prefix, type, title) => {
+            const [icon, label] = CALLOUTS[type.toLowerCase()] ?? ['📝', type];
+            // Keep the nesting depth of the original quote
+            const quote = prefix.replace(/[ \t]/g, '').split('').join(' ');
+            return `${quote} **${icon} ${title.trim() || label}**\n${quote}`;
+        })
+        .replace(/<aside>\s*([\s\S]*?)\s*<\/aside>/g, (_, inner) =>
+            inner
+                .replace(/<img[^>]*>/g, '')
+                .split('\n')
+                .map(line => `> ${line.trim()}`.trimEnd())
+                .join('\n')
+        );
+}
+
+function encodePath(relativePath) {
+    return relativePath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// --- Obsidian ---
+
+function findVaultRoot(startDir) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        if (fs.existsSync(path.join(dir, '.obsidian'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+// Obsidian resolves `![[name.png]]` by file name anywhere in the vault
+const vaultIndexes = new Map();
+function vaultFiles(root) {
+    if (!vaultIndexes.has(root)) {
+        const files = new Map();
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) walk(full);
+                else if (!files.has(entry.name)) files.set(entry.name, full);
+            }
+        };
+        walk(root);
+        vaultIndexes.set(root, files);
+    }
+    return vaultIndexes.get(root);
+}
+
+function resolveVaultFile(target, { vaultRoot, sourceDir }) {
+    const candidates = [
+        sourceDir && path.resolve(sourceDir, target),
+        vaultRoot && path.resolve(vaultRoot, target),
+    ].filter(Boolean);
+    const direct = candidates.find(candidate => fs.existsSync(candidate));
+    if (direct) return direct;
+    return vaultRoot ? vaultFiles(vaultRoot).get(path.basename(target)) : undefined;
+}
+
+function wikilinkText(target, alias) {
+    if (alias) return alias;
+    const [page, heading] = target.split('#');
+    const name = path.basename(page);
+    return heading ? (name ? `${name} › ${heading}` : heading) : name;
+}
+
+const obsidian = {
+    name: 'obsidian',
+    detect({ content, filePath }) {
+        if (filePath && findVaultRoot(path.dirname(filePath))) return true;
+        return /!?\[\[[^\]\n]+\]\]/.test(content) || /^>\s*\[!\w+\]/m.test(content);
+    },
+    async adapt({ content, filePath, sourceDir, resolvePostLink }) {
+        const { data, body } = parseFrontmatter(content);
+        const vaultRoot = sourceDir ? findVaultRoot(sourceDir) ?? path.resolve(sourceDir) : null;
+
+        const converted = outsideCode(body, (text) => text
+            .replace(/%%[\s\S]*?%%/g, '')
+            // Embeds: images become regular image links, embedded notes a quoted reference
+            .replace(/!\[\[([^\]|\n]+)(?:\|([^\]\n]*))?\]\]/g, (_, rawTarget, option = '') => {
+                const target = rawTarget.trim();
+                const ext = path.extname(target.split('#')[0]).toLowerCase();
+                if (!IMAGE_EXTENSIONS.has(ext)) return `> 📎 [[${target}]]`;
+
+                // `|300` / `|300x200` is a display size, anything else is alt text
+                const alt = /^\d+(x\d+)?$/.test(option.trim()) || !option.trim()
+                    ? path.basename(target, ext)
+                    : option.trim();
+                if (!sourceDir) return `![${alt}](${encodePath(target)})`;
+                const file = resolveVaultFile(target, { vaultRoot, sourceDir });
+                if (!file) console.warn(`      ⚠️  Embedded image not found in vault: ${target}`);
+                return `![${alt}](${encodePath(file ? path.relative(sourceDir, file) : target)})`;
+            })
+            .replace(/\[\[([^\]|\n]+)(?:\|([^\]\n]*))?\]\]/g, (_, rawTarget, alias) => {
+                const target = rawTarget.trim();
+                const text = wikilinkText(target, alias?.trim());
+                const [page, heading] = target.split('#');
+                const url = page ? resolvePostLink(path.basename(page)) : '';
+                if (url === null) return text;
+                return `[${text}](${url}${heading ? `#${githubSlug(heading)}` : ''})`;
+            })
+            .replace(/==([^=\n]+)==/g, '<mark>$1</mark>')
+        );
+
+        return {
+            name: filePath ? cleanSourceName(filePath) : null,
+            body: normalizeCallouts(converted),
+            meta: metaFromFields(data),
+        };
+    },
+};
+
+// --- Notion ---
+
+// Notion puts page properties as `Key: value` lines right under the title
+function extractNotionProperties(body) {
+    const match = body.match(/^(\s*#\s+[^\n]+\n)\n?((?:[^\n:：]{1,30}[:：][ \t]*[^\n]*\n)+)\n?/);
+    if (!match) return { fields: {}, body };
+    const fields = {};
+    for (const line of match[2].trim().split('\n')) {
+        const [, key, value] = line.match(/^([^:：]+)[:：]\s*(.*)$/);
+        fields[key.trim()] = value.trim();
+    }
+    // Only treat it as a property block when it contains something we recognize
+    const meta = metaFromFields(fields);
+    if (Object.keys(meta).length === 0) return { fields: {}, body };
+    return { fields, body: `${match[1]}\n${body.slice(match[0].length)}` };
+}
+
+const notion = {
+    name: 'notion',
+    detect({ content, filePath }) {
+        if (filePath && NOTION_HASH.test(path.basename(filePath))) return true;
+        return /\]\([^)]*%20[0-9a-f]{32}(\.md|\/)/i.test(content) || /<aside>/.test(content);
+    },
+    async adapt({ content, filePath, resolvePostLink }) {
+        const { data, body: withoutFrontmatter } = parseFrontmatter(content);
+        const { fields, body } = extractNotionProperties(withoutFrontmatter);
+
+        const converted = outsideCode(body, (text) => text
+            // Links to other exported pages: `[Title](Title%20<hash>.md)`
+            .replace(/(?<!!)\[([^\]]*)\]\(([^)\s]+\.md)\)/g, (link, label, href) => {
+                if (/^https?:/.test(href)) return link;
+                const url = resolvePostLink(cleanSourceName(href));
+                return url === null ? label : `[${label}](${url})`;
+            })
+        );
+
+        const title = body.match(/^\s*#\s+(.+)$/m)?.[1].trim();
+        return {
+            name: filePath ? cleanSourceName(filePath) : null,
+            body: normalizeCallouts(converted),
+            meta: { title, ...metaFromFields({ ...fields, ...data }) },
+        };
+    },
+};
+
+// --- HTML ---
+
+// A malformed href (`http://[`) is kept as written instead of failing the whole file
+function absoluteUrl(value, baseUrl) {
+    try {
+        return new URL(value, baseUrl).href;
+    } catch {
+        return value;
+    }
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+function metaContent(doc, selectors) {
+    for (const selector of selectors) {
+        const value = doc.querySelector(selector)?.getAttribute('content')?.trim();
+        if (value) return value;
+    }
+    return undefined;
+}
+
+function htmlPublishDate(doc, html) {
+    const fromMeta = metaContent(doc, [
+        'meta[property="article:published_time"]',
+        'meta[name="publishdate"]',
+        'meta[name="date"]',
+        'meta[itemprop="datePublished"]',
+    ]);
+    if (fromMeta) return formatDate(fromMeta);
+    const time = doc.querySelector('article time[datetime], time[datetime]')?.getAttribute('datetime');
+    if (time) return formatDate(time);
+    // WeChat: `var ct = "1702622400";` in an inline script, or the rendered #publish_time
+    const wechat = html.match(/var\s+ct\s*=\s*"(\d{10})"/)?.[1] ?? doc.getElementById('publish_time')?.textContent;
+    return formatDate(wechat);
+}
+
+const html = {
+    name: 'html',
+    detect({ content, filePath }) {
+        if (filePath && /\.html?$/i.test(filePath)) return true;
+        return /^\s*(<!doctype html|<html[\s>])/i.test(content);
+    },
+    async adapt({ content, filePath, sourceDir }) {
+        const doc = domino.createDocument(content);
+        const isWechat = Boolean(doc.getElementById('js_content'));
+
+        const title = (
+            metaContent(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ??
+            doc.getElementById('activity-name')?.textContent ??
+            doc.querySelector('h1')?.textContent ??
+            doc.title
+        )?.trim();
+        const description = metaContent(doc, ['meta[property="og:description"]', 'meta[name="description"]']);
+        const baseUrl = doc.querySelector('link[rel="canonical"]')?.getAttribute('href') ??
+            metaContent(doc, ['meta[property="og:url"]']) ??
+            doc.querySelector('base[href]')?.getAttribute('href');
+
+        const root = doc.getElementById('js_content') ??
+            doc.querySelector('[itemprop="articleBody"]') ??
+            doc.querySelector('article') ??
+            doc.querySelector('main') ??
+            doc.body;
+        for (const node of Array.from(root.querySelectorAll('script, style, nav, header, footer, aside, form, button'))) {
+            node.remove();
+        }
+
+        // Lazy-loaded images (WeChat uses data-src); saved pages keep their images next to the
+        // file ("Page_files/..."), so only fall back to the page URL when the file is missing
+        for (const img of Array.from(root.querySelectorAll('img'))) {
+            const src = img.getAttribute('data-src') || img.getAttribute('src');
+            if (!src) continue;
+            const isLocal = !/^[a-z]+:/i.test(src) && !src.startsWith('//') && sourceDir &&
+                fs.existsSync(path.resolve(sourceDir, safeDecode(src)));
+            img.setAttribute('src', isLocal || !baseUrl ? src : absoluteUrl(src, baseUrl));
+            img.removeAttribute('data-src');
+        }
+        if (baseUrl) {
+            for (const link of Array.from(root.querySelectorAll('a[href]'))) {
+                link.setAttribute('href', absoluteUrl(link.getAttribute('href'), baseUrl));
+            }
+        }
+
+        const markdown = htmlToMarkdown(root);
+        const body = title && !/^#\s/.test(markdown) ? `# ${title}\n\n${markdown}` : markdown;
+
+        return {
+            // WeChat "Save as" names are the article title anyway; a generic name falls back to it
+            name: filePath && !isWechat ? cleanSourceName(filePath) : null,
+            body: normalizeCallouts(body),
+            meta: metaFromFields({ title, description, date: htmlPublishDate(doc, content) }),
+        };
+    },
+};
+
+// --- Youmind (default) ---
+
+const youmind = {
+    name: 'youmind',
+    detect: () => true,
+    async adapt({ content, filePath }) {
+        const { data, body } = parseFrontmatter(content);
+        return {
+            name: filePath ? cleanSourceName(filePath) : null,
+            body,
+            meta: metaFromFields(data),
+        };
+    },
+};
+
+export const adapters = [html, notion, obsidian, youmind];
+
+/** Pick the adapter for `input` (or the one named by `format`) and run it. */
+export async function adaptSource(input, { format } = {}) {
+    const adapter = format
+        ? adapters.find(candidate => candidate.name === format)
+        : adapters.find(candidate => candidate.detect(input));
+    if (!adapter) throw new Error(`Unknown source format "${format}" (expected ${adapters.map(a => a.name).join(', ')})`);
+    return { adapter: adapter.name, ...(await adapter.adapt(input)) };
+}
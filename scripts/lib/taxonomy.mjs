@@ -0,0 +1,48 @@
+/**
+ * Tag Taxonomy (script side)
+ *
+ * Reads src/data/taxonomy.json, the same file the content schema validates against,
+ * so tags written by the importer always pass the build.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TAXONOMY_PATH = path.join(__dirname, '../../src/data/taxonomy.json');
+
+export function loadTaxonomy(taxonomyPath = TAXONOMY_PATH) {
+    const taxonomy = JSON.parse(fs.readFileSync(taxonomyPath, 'utf-8'));
+
+    // Case-insensitive lookup over names and aliases
+    const lookup = new Map();
+    for (const def of taxonomy.tags) {
+        for (const key of [def.name, ...(def.aliases || [])]) {
+            lookup.set(key.trim().toLowerCase(), def);
+        }
+    }
+
+    return {
+        ...taxonomy,
+        resolve(tag) {
+            return lookup.get(String(tag).trim().toLowerCase());
+        },
+        byGroup(group) {
+            return taxonomy.tags.filter(def => def.group === group);
+        },
+        // Map tags to canonical names, dropping (and reporting) unknown ones
+        normalize(tags) {
+            const result = [];
+            for (const tag of tags) {
+                const def = this.resolve(tag);
+                if (!def) {
+                    console.warn(`      ⚠️  Dropping unknown tag "${tag}" (add it to src/data/taxonomy.json)`);
+                } else if (!result.includes(def.name)) {
+                    result.push(def.name);
+                }
+            }
+            return result;
+        },
+    };
+}
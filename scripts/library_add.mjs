@@ -0,0 +1,205 @@
+/**
+ * Add a Library Entry
+ *
+ * Looks up an ISBN, a YouTube/Bilibili URL or a Spotify URL through the metadata providers
+ * (scripts/lib/metadata_providers.mjs), downloads the cover next to the entry and writes
+ * src/content/library/<slug>.md with frontmatter the `library` schema accepts.
+ *
+ * Usage: npm run library:add -- <isbn|url> [options]
+ *   --status=reading|finished|wishlist   --rating=1-5   --progress=0-100
+ *   --comment="..."   --tags=思考,产品   --date=YYYY-MM-DD   --slug=my-slug
+ *   --provider=<name>  only ask this provider
+ *   --no-cover         don't download the cover
+ *   --dry-run          print the entry instead of writing it
+ *   --force            overwrite an existing entry with the same slug
+ *
+ * Offline: start `node scripts/library_fixture_server.mjs` and set
+ * LIBRARY_METADATA_BASE_URL=http://127.0.0.1:8787 (ISBN 9780735211292 has a title long
+ * enough to exercise the slug trimming)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { slug as githubSlug } from 'github-slugger';
+import { createHttpClient, resolveMetadata } from './lib/metadata_providers.mjs';
+import { loadTaxonomy } from './lib/taxonomy.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIBRARY_DIR = path.join(__dirname, '../src/content/library');
+
+const STATUSES = ['reading', 'finished', 'wishlist'];
+const COVER_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Frontmatter key order, following the hand-written entries
+const FIELD_ORDER = [
+    'type', 'title', 'artist', 'author', 'show', 'host', 'spotifyUrl', 'source', 'videoId',
+    'status', 'rating', 'progress', 'startedAt', 'finishedAt', 'coverImage', 'link', 'comment', 'date', 'tags',
+];
+// Same limit as the unsafe-slug rule of scripts/lint_content.mjs
+const MAX_SLUG_LENGTH = 60;
+const DATE_FIELDS = ['date', 'startedAt', 'finishedAt'];
+const URL_FIELDS = ['spotifyUrl', 'link'];
+
+function parseArgs(argv) {
+    const options = { input: null, cover: true, dryRun: false, force: false };
+    for (const arg of argv) {
+        if (arg === '--no-cover') options.cover = false;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--force') options.force = true;
+        else if (arg.startsWith('--')) {
+            const [key, ...rest] = arg.slice(2).split('=');
+            options[key] = rest.join('=');
+        } else {
+            options.input = arg;
+        }
+    }
+    return options;
+}
+
+function today() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Same checks the zod schema makes, so a bad flag fails here instead of in the build
+function validateEntry(data) {
+    const errors = [];
+    if (!data.title) errors.push('title is empty');
+    if (data.status && !STATUSES.includes(data.status)) errors.push(`status must be one of ${STATUSES.join(', ')}`);
+    if (data.rating !== undefined && !(data.rating >= 1 && data.rating <= 5)) errors.push('rating must be between 1 and 5');
+    if (data.progress !== undefined && !(data.progress >= 0 && data.progress <= 100)) errors.push('progress must be between 0 and 100');
+    for (const field of DATE_FIELDS) {
+        if (data[field] && !/^\d{4}-\d{2}-\d{2}$/.test(data[field])) errors.push(`${field} must be YYYY-MM-DD`);
+    }
+    for (const field of URL_FIELDS) {
+        if (data[field] && !URL.canParse(data[field])) errors.push(`${field} is not a valid URL`);
+    }
+    if (errors.length) throw new Error(`Invalid entry:\n  - ${errors.join('\n  - ')}`);
+}
+
+// github-slugger turns "Easy & Proven" into "easy--proven" and never shortens
+function titleSlug(title) {
+    const slug = githubSlug(title).replace(/-{2,}/g, '-').replace(/^-|-$/g, '');
+    if (slug.length <= MAX_SLUG_LENGTH) return slug;
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    // Cut at the last hyphen that fits, unless that leaves almost nothing (one long CJK word)
+    const boundary = cut.lastIndexOf('-');
+    return boundary > MAX_SLUG_LENGTH / 2 ? cut.slice(0, boundary) : slug.slice(0, MAX_SLUG_LENGTH);
+}
+
+function validateSlug(slug) {
+    if (slug.length > MAX_SLUG_LENGTH) throw new Error(`Slug "${slug}" is ${slug.length} characters long (max ${MAX_SLUG_LENGTH}); pass a shorter --slug=`);
+    if (/^-|-$|--/.test(slug)) throw new Error(`Slug "${slug}" has leading, trailing or repeated hyphens; pass a different --slug=`);
+}
+
+function buildEntry(metadata, options, taxonomy) {
+    const { coverUrl, ...fields } = metadata;
+    const data = { ...fields, date: options.date || today() };
+    if (options.status) data.status = options.status;
+    if (options.rating) data.rating = Number(options.rating);
+    if (options.progress) data.progress = Number(options.progress);
+    if (options.comment) data.comment = options.comment;
+    if (options.tags) data.tags = taxonomy.normalize(options.tags.split(',').map(tag => tag.trim()).filter(Boolean));
+    // Finished or started on the entry's date (today unless --date says otherwise)
+    if (data.status === 'finished') data.finishedAt = data.date;
+    if (data.status === 'reading') data.startedAt = data.date;
+    return { data, coverUrl };
+}
+
+function toFrontmatter(data) {
+    const lines = FIELD_ORDER
+        .filter(key => data[key] !== undefined && data[key] !== '' && !(Array.isArray(data[key]) && data[key].length === 0))
+        .map(key => {
+            const value = data[key];
+            if (DATE_FIELDS.includes(key) || typeof value === 'number') return `${key}: ${value}`;
+            return `${key}: ${JSON.stringify(value)}`;
+        });
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Checks the bytes are really an image (services answer missing covers with HTML or 1px GIFs)
+async function downloadCover(client, url, destBase) {
+    const res = await client.get(url);
+    if (res.status !== 200) throw new Error(`cover download failed (${res.status})`);
+    const { format, width } = await sharp(res.body).metadata();
+    const extension = COVER_FORMATS[format];
+    if (!extension) throw new Error(`unsupported cover format "${format}"`);
+    if (width < 10) throw new Error('cover is a placeholder pixel');
+    const file = `${destBase}.${extension}`;
+    await fs.writeFile(file, res.body);
+    return file;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.input) {
+        console.error('Usage: npm run library:add -- <isbn|youtube url|bilibili url|spotify url> [--status=] [--rating=] [--comment=] [--tags=] [--dry-run]');
+        process.exit(1);
+    }
+
+    const client = createHttpClient();
+    const taxonomy = loadTaxonomy();
+    console.log(`🔎 Looking up ${options.input} (${client.describe()})`);
+
+    const resolved = await resolveMetadata(options.input, { client, only: options.provider });
+    if (!resolved) {
+        console.error('❌ No provider found metadata for this input');
+        process.exit(1);
+    }
+    console.log(`   ✅ ${resolved.provider}: ${resolved.metadata.title}`);
+
+    const { data, coverUrl } = buildEntry(resolved.metadata, options, taxonomy);
+    validateEntry(data);
+
+    const slug = options.slug || titleSlug(data.title) || `${data.type}-${Date.now()}`;
+    validateSlug(slug);
+    const entryPath = path.join(LIBRARY_DIR, `${slug}.md`);
+    if (!options.force && !options.dryRun && await exists(entryPath)) {
+        console.error(`❌ ${path.relative(process.cwd(), entryPath)} already exists (use --slug= or --force)`);
+        process.exit(1);
+    }
+
+    if (coverUrl && options.cover && !options.dryRun) {
+        try {
+            const coverPath = await downloadCover(client, coverUrl, path.join(LIBRARY_DIR, slug));
+            data.coverImage = `./${path.basename(coverPath)}`;
+            console.log(`   🖼️  Cover saved to ${path.relative(process.cwd(), coverPath)}`);
+        } catch (e) {
+            // A remote cover still renders (the cards load it with no-referrer)
+            console.warn(`   ⚠️  Keeping the remote cover: ${e.message}`);
+            data.coverImage = coverUrl;
+        }
+    } else if (coverUrl && options.cover) {
+        data.coverImage = coverUrl;
+    }
+
+    // Some services don't expose the creator (e.g. Spotify podcasts without a show name)
+    const creatorField = { music: 'artist', book: 'author', podcast: 'show' }[data.type];
+    const missing = creatorField && !data[creatorField] ? [creatorField] : [];
+    if (missing.length) console.warn(`   ⚠️  Fill in by hand: ${missing.join(', ')}`);
+
+    const content = toFrontmatter(data);
+    if (options.dryRun) {
+        console.log(`\n📝 [Dry Run] ${path.relative(process.cwd(), entryPath)}\n${content}`);
+        return;
+    }
+    await fs.writeFile(entryPath, content);
+    console.log(`   📝 Wrote ${path.relative(process.cwd(), entryPath)}`);
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * Library Metadata Fixture Server
+ *
+ * Answers the requests of scripts/lib/metadata_providers.mjs offline, so `library:add`
+ * can be tried and tested without network access:
+ *
+ *   node scripts/library_fixture_server.mjs [--port=8787]
+ *   LIBRARY_METADATA_BASE_URL=http://127.0.0.1:8787 npm run library:add -- 9780735211292
+ *
+ * Responses come from scripts/fixtures/library_metadata.json, keyed by the rewritten path
+ * (`/<host><path>?<query>`): objects are served as JSON, strings as HTML. Any other path on
+ * an image host is answered with a generated cover, so fixtures don't need binary files.
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_PATH = path.join(__dirname, 'fixtures/library_metadata.json');
+const DEFAULT_PORT = 8787;
+
+const IMAGE_HOSTS = ['covers.openlibrary.org', 'books.google.com', 'i.ytimg.com', 'i0.hdslb.com', 'image-cdn-ak.spotifycdn.com', 'i.scdn.co'];
+
+// A 300×450 cover in a colour derived from the path, so different items look different
+async function generateCover(key) {
+    let hash = 0;
+    for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    const background = { r: hash & 0xff, g: (hash >> 8) & 0xff, b: (hash >> 16) & 0xff };
+    return sharp({ create: { width: 300, height: 450, channels: 3, background } }).jpeg().toBuffer();
+}
+
+async function main() {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    const port = Number(portArg?.split('=')[1]) || DEFAULT_PORT;
+    const fixtures = JSON.parse(await fs.readFile(FIXTURES_PATH, 'utf-8'));
+
+    const server = http.createServer(async (req, res) => {
+        const key = req.url;
+        const host = key.split('/')[1];
+        const fixture = fixtures[key];
+
+        if (fixture !== undefined) {
+            const html = typeof fixture === 'string';
+            res.writeHead(200, { 'Content-Type': html ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8' });
+            res.end(html ? fixture : JSON.stringify(fixture));
+            console.log(`  200 ${key}`);
+        } else if (IMAGE_HOSTS.includes(host)) {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end(await generateCover(key));
+            console.log(`  200 ${key} (generated cover)`);
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('No fixture for this request');
+            console.log(`  404 ${key}`);
+        }
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`🧪 Library metadata fixtures on http://127.0.0.1:${port} (${Object.keys(fixtures).length} responses)`);
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Fixture server failed:', error);
+    process.exit(1);
+});
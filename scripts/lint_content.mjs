@@ -0,0 +1,440 @@
+/**
+ * Content Linter
+ *
+ * Checks the posts, notes, works and library collections for the problems that otherwise
+ * only show up as a broken page: links and images pointing nowhere, remote images the
+ * importer failed to download, duplicate or unsafe slugs, truncated or empty descriptions,
+ * missing cover files, narrated posts kept out of the podcast feed and assets nothing refers to.
+ *
+ * Usage: node scripts/lint_content.mjs [--json]
+ *   Default output is one problem per line: `file:line:column severity rule message`
+ *   --json  Print `{ problems: [...], errorCount, warningCount }` instead
+ *
+ * Exits with code 1 when any problem is found.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { slug as githubSlug } from 'github-slugger';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'src/content');
+const PAGES_DIR = path.join(ROOT, 'src/pages');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+const TAXONOMY_PATH = path.join(ROOT, 'src/data/taxonomy.json');
+
+const COLLECTIONS = ['posts', 'notes', 'works', 'library'];
+// Collections whose schema has a `description`
+const DESCRIBED = ['posts', 'works'];
+const LIBRARY_COVERS = 'images/library-covers';
+
+const MARKDOWN_FILE = /\.mdx?$/;
+const IMAGE_FILE = /\.(jpe?g|png|webp|gif|avif|svg)$/i;
+const REMOTE_URL = /^(?:https?:)?\/\//i;
+// The importer cuts AI summaries to 20 characters and appends "..."
+const TRUNCATED = /(?:\.\.\.|…)$/;
+const MAX_SLUG_LENGTH = 60;
+// Page sizes of POSTS_PER_PAGE in src/utils/posts.ts and NOTES_PER_PAGE in src/utils/notes.ts
+const POSTS_PER_PAGE = 10;
+const NOTES_PER_PAGE = 20;
+
+// Paths produced by the build rather than by a page or a file in public/
+const BUILD_OUTPUT = ['/_astro/', '/pagefind/'];
+
+// --- Reading ---
+
+async function walk(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+    const files = await Promise.all(entries.map(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(full) : [full];
+    }));
+    return files.flat();
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function lineAt(content, offset) {
+    const before = content.slice(0, offset).split('\n');
+    return { line: before.length, column: before.at(-1).length + 1 };
+}
+
+// Offset of a frontmatter key, so problems with a field point at its line
+function fieldOffset(content, key) {
+    const match = content.match(new RegExp(`^${key}:`, 'm'));
+    return match ? match.index : 0;
+}
+
+// Same as Astro: slugify every path segment, drop a trailing /index
+function entrySlug(id) {
+    return id
+        .replace(MARKDOWN_FILE, '')
+        .split('/')
+        .map(segment => githubSlug(segment))
+        .join('/')
+        .replace(/\/index$/, '');
+}
+
+async function readEntry(collection, file) {
+    const content = await fs.readFile(file, 'utf-8');
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    let data = {};
+    let yamlError = null;
+    if (match) {
+        try {
+            data = YAML.parse(match[1]) ?? {};
+        } catch (e) {
+            yamlError = e;
+        }
+    }
+    const id = path.relative(path.join(CONTENT_DIR, collection), file).split(path.sep).join('/');
+    return {
+        collection,
+        file,
+        id,
+        slug: typeof data.slug === 'string' ? data.slug : entrySlug(id),
+        explicitSlug: typeof data.slug === 'string',
+        content,
+        bodyOffset: match ? match[0].length : 0,
+        data,
+        yamlError,
+    };
+}
+
+// Astro skips files starting with "_" (e.g. Markdown transcripts next to a post)
+function isEntryFile(file) {
+    return MARKDOWN_FILE.test(file) && !path.basename(file).startsWith('_');
+}
+
+async function readCollections() {
+    const entries = [];
+    for (const collection of COLLECTIONS) {
+        const files = (await walk(path.join(CONTENT_DIR, collection))).filter(isEntryFile);
+        entries.push(...await Promise.all(files.map(file => readEntry(collection, file))));
+    }
+    return entries;
+}
+
+async function readTagNames() {
+    const taxonomy = JSON.parse(await fs.readFile(TAXONOMY_PATH, 'utf-8'));
+    const names = new Map();
+    for (const tag of taxonomy.tags) {
+        for (const name of [tag.name, ...(tag.aliases ?? [])]) names.set(name.toLowerCase(), tag.name);
+    }
+    return names;
+}
+
+// --- References ---
+
+// Blank out fenced and inline code (keeping offsets) so examples aren't checked
+function maskCode(text) {
+    const blank = match => match.replace(/[^\n]/g, ' ');
+    return text.replace(/^(```|~~~)[\s\S]*?^\1/gm, blank).replace(/`[^`\n]+`/g, blank);
+}
+
+/** Every link and image target in a Markdown body, with its offset in the file. */
+function extractReferences(entry) {
+    const body = maskCode(entry.content.slice(entry.bodyOffset));
+    const references = [];
+    const add = (kind, url, index) => references.push({ kind, url, offset: entry.bodyOffset + index });
+
+    for (const match of body.matchAll(/(!?)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)/g)) {
+        add(match[1] ? 'image' : 'link', match[2], match.index);
+    }
+    for (const match of body.matchAll(/^\s{0,3}\[[^\]]+\]:\s*<?(\S+?)>?(?:\s|$)/gm)) {
+        add('link', match[1], match.index);
+    }
+    for (const match of body.matchAll(/<(img|a|source|video|audio)\b[^>]*?\s(src|href)=["']([^"']+)["']/gi)) {
+        add(match[1].toLowerCase() === 'a' ? 'link' : 'image', match[3], match.index);
+    }
+    return references;
+}
+
+function stripUrl(url) {
+    const bare = url.replace(/[?#].*$/, '');
+    try {
+        return decodeURI(bare);
+    } catch {
+        return bare;
+    }
+}
+
+// --- Routes ---
+
+function normalizeRoute(route) {
+    return route.length > 1 ? route.replace(/\/+$/, '') : route;
+}
+
+/**
+ * Routes the build generates. Dynamic pages for posts, tags, series, notes, works, library items and the paginated listings are expanded from the
+ * content itself; any other dynamic page only contributes a pattern.
+ */
+async function buildRoutes(entries, tagNames) {
+    const routes = new Set();
+    const patterns = [];
+    const files = (await walk(PAGES_DIR)).map(file => path.relative(PAGES_DIR, file).split(path.sep).join('/'));
+    for (const file of files) {
+        const route = '/' + file.replace(/\.(astro|md|mdx|html|js|ts)$/, '').replace(/(^|\/)index$/, '');
+        if (!route.includes('[')) {
+            routes.add(normalizeRoute(route));
+            continue;
+        }
+        const source = route
+            .split('/')
+            .map(segment => segment
+                .replace(/[.*+?^${}()|\\]/g, '\\$&')
+                .replace(/\\?\[\\?\.\\?\.\\?\.[^\]]+\]/g, '.+')
+                .replace(/\[[^\]]+\]/g, '[^/]+'))
+            .join('/');
+        patterns.push({ prefix: route.slice(0, route.indexOf('[')), regex: new RegExp(`^${source}$`) });
+    }
+
+    // paginate(): the first page at the base path, the rest at /2, /3, ...
+    const addPages = (base, count, pageSize) => {
+        routes.add(base);
+        for (let page = 2; page <= Math.ceil(count / pageSize); page++) routes.add(`${base}/${page}`);
+    };
+
+    const canonicalTag = tag => tagNames.get(String(tag).toLowerCase()) ?? tag;
+
+    const now = Date.now();
+    const posts = entries.filter(entry => entry.collection === 'posts');
+    const built = posts.filter(post => !post.data.draft && new Date(post.data.pubDate).valueOf() <= now);
+    // English posts (`lang: en`) are built under /en/ and only listed on /en/blog
+    const isEnglish = post => post.data.lang === 'en';
+    for (const post of built) {
+        routes.add(`${isEnglish(post) ? '/en' : ''}/posts/${post.slug}`);
+        routes.add(`/og/posts/${post.slug}.png`);
+    }
+    addPages('/en/blog', built.filter(post => isEnglish(post) && !post.data.unlisted).length, POSTS_PER_PAGE);
+    const listed = built.filter(post => !isEnglish(post) && !post.data.unlisted);
+    addPages('/blog', listed.length, POSTS_PER_PAGE);
+    for (const post of listed) routes.add(`/archive/${new Date(post.data.pubDate).getUTCFullYear()}`);
+    const tags = new Set(listed.flatMap(post => post.data.tags ?? []).map(canonicalTag));
+    for (const tag of tags) {
+        for (const suffix of ['/rss.xml', '/atom.xml', '/feed.json']) routes.add(`/tags/${tag}${suffix}`);
+        addPages(`/tags/${tag}`, listed.filter(post => post.data.tags?.some(t => canonicalTag(t) === tag)).length, POSTS_PER_PAGE);
+    }
+    for (const post of listed) {
+        if (post.data.series?.name) routes.add(`/series/${githubSlug(post.data.series.name)}`);
+    }
+    for (const item of entries.filter(entry => entry.collection === 'library')) {
+        routes.add(`/library/${item.slug}`);
+        routes.add(`/library/type/${item.data.type}`);
+        // Same rule as getLibraryYears(): wishlist and in-progress items have no year yet
+        if (item.data.status === 'wishlist' || item.data.status === 'reading') continue;
+        routes.add(`/library/years/${new Date(item.data.finishedAt ?? item.data.date).getFullYear()}`);
+    }
+
+    for (const work of entries.filter(entry => entry.collection === 'works')) routes.add(`/works/${work.slug}`);
+
+    const notes = entries.filter(entry => entry.collection === 'notes');
+    addPages('/notes', notes.length, NOTES_PER_PAGE);
+    for (const note of notes) routes.add(`/notes/${note.slug}`);
+    const noteTags = new Set(notes.flatMap(note => note.data.tags ?? []).map(canonicalTag));
+    for (const tag of noteTags) {
+        addPages(`/notes/tags/${tag}`, notes.filter(note => note.data.tags?.some(t => canonicalTag(t) === tag)).length, NOTES_PER_PAGE);
+    }
+
+    // Dynamic pages expanded above are fully known; links under them must match exactly
+    const expanded = ['/posts/', '/og/posts/', '/tags/', '/series/', '/library/', '/notes/', '/blog/', '/archive/', '/works/', '/en/posts/', '/en/blog/'];
+    return {
+        has(route) {
+            const normalized = normalizeRoute(route);
+            if (routes.has(normalized)) return true;
+            if (expanded.some(prefix => normalized.startsWith(prefix))) return false;
+            return patterns.some(pattern => normalized.startsWith(pattern.prefix) && pattern.regex.test(normalized));
+        },
+    };
+}
+
+// --- Checks ---
+
+function safeSlugProblem(entry) {
+    const { slug } = entry;
+    if (!slug) return 'slug is empty';
+    if (slug.length > MAX_SLUG_LENGTH) return `slug is ${slug.length} characters long (max ${MAX_SLUG_LENGTH})`;
+    for (const segment of slug.split('/')) {
+        if (/^-|-$|--/.test(segment)) return `slug "${slug}" has leading, trailing or repeated hyphens`;
+        if (!/^[\p{Ll}\p{Lo}\p{N}-]+$/u.test(segment)) return `slug "${slug}" contains characters that need URL escaping`;
+    }
+    if (!entry.explicitSlug) {
+        // github-slugger silently drops emoji and symbols such as ① from directory names
+        const name = entry.id.replace(MARKDOWN_FILE, '').replace(/\/index$/, '');
+        const dropped = [...name].filter(char => /[^\p{L}\p{N}\p{P}\s-]/u.test(char));
+        if (dropped.length) return `slug "${slug}" silently drops ${[...new Set(dropped)].join(' ')} from "${name}"; set an explicit \`slug:\``;
+    }
+    return null;
+}
+
+async function lintContent() {
+    const entries = await readCollections();
+    const tagNames = await readTagNames();
+    const routes = await buildRoutes(entries, tagNames);
+    const problems = [];
+    const referencedFiles = new Set();
+
+    const report = (entry, offset, severity, rule, message) => {
+        problems.push({ file: path.relative(ROOT, entry.file), ...lineAt(entry.content, offset), severity, rule, message });
+    };
+
+    // Resolve a local reference to a file (relative to the entry, or public/ for root paths)
+    const localFile = (entry, url) => {
+        const target = stripUrl(url);
+        return target.startsWith('/')
+            ? path.join(PUBLIC_DIR, target)
+            : path.resolve(path.dirname(entry.file), target);
+    };
+
+    // Duplicate slugs, per collection
+    const bySlug = new Map();
+    for (const entry of entries) {
+        const key = `${entry.collection}/${entry.slug.toLowerCase()}`;
+        bySlug.set(key, [...(bySlug.get(key) ?? []), entry]);
+    }
+    for (const group of bySlug.values()) {
+        if (group.length < 2) continue;
+        for (const entry of group) {
+            const others = group.filter(other => other !== entry).map(other => other.id).join(', ');
+            report(entry, fieldOffset(entry.content, 'slug'), 'error', 'duplicate-slug', `slug "${entry.slug}" is also used by ${others}`);
+        }
+    }
+
+    for (const entry of entries) {
+        if (entry.yamlError) {
+            report(entry, 0, 'error', 'invalid-frontmatter', entry.yamlError.message.split('\n')[0]);
+            continue;
+        }
+
+        const slugProblem = safeSlugProblem(entry);
+        if (slugProblem) report(entry, fieldOffset(entry.content, 'slug'), 'warning', 'unsafe-slug', slugProblem);
+
+        if (DESCRIBED.includes(entry.collection)) {
+            const description = typeof entry.data.description === 'string' ? entry.data.description.trim() : '';
+            const offset = fieldOffset(entry.content, 'description');
+            if (!description) {
+                report(entry, offset, 'error', 'empty-description', 'description is missing or empty');
+            } else if (TRUNCATED.test(description)) {
+                report(entry, offset, 'warning', 'truncated-description', `description looks truncated: "${description}"`);
+            }
+        }
+
+        if (entry.collection === 'posts' && entry.data.audioUrl && !entry.data.audioLength) {
+            report(entry, fieldOffset(entry.content, 'audioUrl'), 'error', 'missing-audio-length', 'audioLength is missing, so the post is left out of /podcast.xml; run npm run audio:probe');
+        }
+
+        const cover = entry.data.coverImage;
+        if (typeof cover === 'string' && cover && !REMOTE_URL.test(cover)) {
+            const file = localFile(entry, cover);
+            referencedFiles.add(file);
+            if (!(await exists(file))) {
+                report(entry, fieldOffset(entry.content, 'coverImage'), 'error', 'missing-cover', `cover image "${cover}" does not exist`);
+            }
+        }
+
+        const transcript = entry.data.transcript;
+        if (typeof transcript === 'string' && transcript) {
+            const file = localFile(entry, transcript);
+            referencedFiles.add(file);
+            if (!(await exists(file))) {
+                report(entry, fieldOffset(entry.content, 'transcript'), 'error', 'missing-transcript', `transcript "${transcript}" does not exist`);
+            }
+        }
+
+        for (const reference of extractReferences(entry)) {
+            const { kind, url, offset } = reference;
+            if (REMOTE_URL.test(url)) {
+                if (kind === 'image') report(entry, offset, 'warning', 'remote-image', `image was never downloaded: ${url}`);
+                continue;
+            }
+            // mailto:, tel:, data: and in-page anchors
+            if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('#')) continue;
+
+            const rule = kind === 'image' ? 'broken-image' : 'broken-link';
+            const target = stripUrl(url);
+            if (!target.startsWith('/')) {
+                const file = localFile(entry, url);
+                referencedFiles.add(file);
+                if (!(await exists(file))) report(entry, offset, 'error', rule, `"${url}" does not exist next to the entry`);
+                continue;
+            }
+            if (BUILD_OUTPUT.some(prefix => target.startsWith(prefix))) continue;
+            const file = localFile(entry, url);
+            referencedFiles.add(file);
+            if (!routes.has(target) && !(await exists(file))) {
+                report(entry, offset, 'error', rule, `"${url}" matches no page or file in public/`);
+            }
+        }
+    }
+
+    // Images in a work's own folder are its gallery on /works/[slug] (see colocatedImages())
+    for (const work of entries.filter(entry => entry.collection === 'works' && entry.id.includes('/'))) {
+        const dir = path.join(CONTENT_DIR, 'works', path.dirname(work.id));
+        for (const file of await walk(dir)) {
+            if (IMAGE_FILE.test(file)) referencedFiles.add(file);
+        }
+    }
+
+    // Assets co-located with content, or library covers in public/, that nothing points at
+    const assets = [
+        ...(await Promise.all(COLLECTIONS.map(collection => walk(path.join(CONTENT_DIR, collection))))).flat(),
+        ...await walk(path.join(PUBLIC_DIR, LIBRARY_COVERS)),
+    ].filter(file => !isEntryFile(file) && !path.basename(file).startsWith('.'));
+    for (const file of assets) {
+        if (referencedFiles.has(file)) continue;
+        const kind = IMAGE_FILE.test(file) ? 'image' : 'file';
+        problems.push({
+            file: path.relative(ROOT, file),
+            line: 1,
+            column: 1,
+            severity: 'warning',
+            rule: 'unreferenced-asset',
+            message: `${kind} is not referenced by any entry`,
+        });
+    }
+
+    problems.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+    return problems;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const problems = await lintContent();
+    const errorCount = problems.filter(problem => problem.severity === 'error').length;
+    const warningCount = problems.length - errorCount;
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ problems, errorCount, warningCount }, null, 2));
+    } else {
+        for (const p of problems) {
+            console.log(`${p.file}:${p.line}:${p.column} ${p.severity} ${p.rule} ${p.message}`);
+        }
+        // The summary goes to stderr so stdout stays one problem per line
+        console.error(problems.length === 0
+            ? '✅ Content looks good'
+            : `\n❌ ${problems.length} problems (${errorCount} errors, ${warningCount} warnings)`);
+    }
+
+    process.exitCode = problems.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error('❌ Content lint failed:', error);
+    process.exit(2);
+});
@@ -0,0 +1,170 @@
+/**
+ * New Note
+ *
+ * Writes src/content/notes/<YYYY-MM-DD-HHmm>.md stamped with the current local time.
+ * The text comes from the arguments or piped stdin; with neither, an empty note is created
+ * and opened in $EDITOR when it is set.
+ *
+ * Usage: npm run note:new -- "text" [options]
+ *        pbpaste | npm run note:new -- [options]
+ *   --stdin                 require text on stdin (fails when none arrives within 2s)
+ *   --tags=随想,产品        normalized through src/data/taxonomy.json
+ *   --reply-to=<note slug>  thread it under another note
+ *   --quote=posts/<slug>    quote a post (or library/<slug> for a library item)
+ *   --slug=my-slug          appended to the timestamp in the filename
+ *   --dry-run               print the note instead of writing it
+ */
+
+import fs from 'fs/promises';
+import { fstatSync } from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { slug as githubSlug } from 'github-slugger';
+import { loadTaxonomy } from './lib/taxonomy.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONTENT_DIR = path.join(__dirname, '../src/content');
+const NOTES_DIR = path.join(CONTENT_DIR, 'notes');
+
+const QUOTE_COLLECTIONS = ['posts', 'library'];
+// An open pipe nobody writes to (a script, CI) would otherwise keep the command waiting
+const STDIN_TIMEOUT_MS = 2000;
+
+function parseArgs(argv) {
+    const options = { text: [], dryRun: false, stdin: false };
+    for (const arg of argv) {
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--stdin') options.stdin = true;
+        else if (arg.startsWith('--')) {
+            const [key, ...rest] = arg.slice(2).split('=');
+            options[key] = rest.join('=');
+        } else {
+            options.text.push(arg);
+        }
+    }
+    return options;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Local time, as the hand-written notes have it: `2024-01-15T14:30:00` */
+function timestamp(date) {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return { day, time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`, compact: `${day}-${pad(date.getHours())}${pad(date.getMinutes())}` };
+}
+
+function stdinIsPiped() {
+    try {
+        const stat = fstatSync(0);
+        return stat.isFIFO() || stat.isFile();
+    } catch {
+        return false;
+    }
+}
+
+/** Piped text, or '' when nothing is piped in; `required` (--stdin) turns both into errors. */
+function readStdin({ required }) {
+    if (process.stdin.isTTY || !stdinIsPiped()) {
+        if (required) throw new Error('--stdin expects piped input, e.g. `pbpaste | npm run note:new -- --stdin`');
+        return '';
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const timer = setTimeout(() => {
+            process.stdin.destroy();
+            if (required) reject(new Error(`Nothing arrived on stdin within ${STDIN_TIMEOUT_MS / 1000}s`));
+            else resolve('');
+        }, STDIN_TIMEOUT_MS);
+        process.stdin.on('data', (chunk) => {
+            clearTimeout(timer);
+            chunks.push(chunk);
+        });
+        process.stdin.on('end', () => {
+            clearTimeout(timer);
+            resolve(Buffer.concat(chunks).toString('utf-8'));
+        });
+        process.stdin.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = await Promise.all(entries.map(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(full) : [full];
+    }));
+    return files.flat();
+}
+
+// Same slugs Astro gives collection entries: each path segment slugified, a trailing /index dropped
+async function collectionSlugs(collection) {
+    const dir = path.join(CONTENT_DIR, collection);
+    return new Set((await walk(dir))
+        .filter(file => /\.mdx?$/.test(file))
+        .map(file => path.relative(dir, file).replace(/\.mdx?$/, '').split(path.sep).map(segment => githubSlug(segment)).join('/').replace(/\/index$/, '')));
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const taxonomy = loadTaxonomy();
+    const text = (options.text.join(' ') || await readStdin({ required: options.stdin })).trim();
+
+    // Check references here; the build would fail on them anyway (see src/utils/notes.ts)
+    const replyTo = options['reply-to'];
+    if (replyTo && !(await collectionSlugs('notes')).has(replyTo)) {
+        throw new Error(`--reply-to: no note with slug "${replyTo}"`);
+    }
+    const quote = options.quote;
+    if (quote) {
+        const [collection, ...rest] = quote.split('/');
+        if (!QUOTE_COLLECTIONS.includes(collection)) throw new Error('--quote must be posts/<slug> or library/<slug>');
+        if (!(await collectionSlugs(collection)).has(rest.join('/'))) throw new Error(`--quote: no ${collection} entry with slug "${rest.join('/')}"`);
+    }
+
+    const now = timestamp(new Date());
+    const suffix = options.slug ? `-${githubSlug(options.slug)}` : '';
+    const notePath = path.join(NOTES_DIR, `${now.compact}${suffix}.md`);
+    if (!options.dryRun && await exists(notePath)) {
+        throw new Error(`${path.relative(process.cwd(), notePath)} already exists (use --slug=)`);
+    }
+
+    const tags = options.tags ? taxonomy.normalize(options.tags.split(',').map(tag => tag.trim()).filter(Boolean)) : [];
+    const frontmatter = [
+        `date: ${now.day}T${now.time}`,
+        tags.length ? `tags: ${JSON.stringify(tags)}` : '',
+        replyTo ? `replyTo: ${JSON.stringify(replyTo)}` : '',
+        quote ? `quote: ${JSON.stringify(quote)}` : '',
+    ].filter(Boolean);
+    const content = `---\n${frontmatter.join('\n')}\n---\n\n${text}${text ? '\n' : ''}`;
+
+    if (options.dryRun) {
+        console.log(`📝 [Dry Run] ${path.relative(process.cwd(), notePath)}\n${content}`);
+        return;
+    }
+    await fs.writeFile(notePath, content);
+    console.log(`📝 Wrote ${path.relative(process.cwd(), notePath)}`);
+
+    if (!text && process.env.EDITOR) {
+        spawnSync(process.env.EDITOR, [notePath], { stdio: 'inherit' });
+    } else if (!text) {
+        console.log('   ✏️  The note is empty; write it before building');
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
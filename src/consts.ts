@@ -0,0 +1,12 @@
+// consts.ts - 站点级常量，供 feed / SEO 等复用
+export const SITE_TITLE = "Kangyuan's Blog";
+export const SITE_DESCRIPTION = 'Rational Elegance - 一個追求理性优雅的博客';
+export const SITE_AUTHOR = 'Kangyuan';
+export const SITE_LANGUAGE = 'zh-CN';
+
+// Podcast feed (/podcast.xml) of the posts that have narration audio
+export const PODCAST_TITLE = `${SITE_TITLE} · 朗读`;
+export const PODCAST_DESCRIPTION = '博客文章的朗读版本，可在任何播客客户端订阅收听。';
+// Apple Podcasts category names: https://podcasters.apple.com/support/1691-apple-podcasts-categories
+export const PODCAST_CATEGORY = { name: 'Business', subcategory: 'Management' };
+export const PODCAST_EXPLICIT = false;
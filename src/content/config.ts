@@ -1,13 +1,72 @@
 import { defineCollection, z } from 'astro:content';
+import { resolveTag } from '../utils/taxonomy';
+import { parseTimestamp } from '../utils/narration';
+import { DEFAULT_LOCALE, LOCALES } from '../utils/i18n';
+
+// Tags must exist in src/data/taxonomy.json; aliases are normalized to the canonical name
+const tagsSchema = z
+    .array(
+        z.string().transform((tag, ctx) => {
+            const def = resolveTag(tag);
+            if (!def) {
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: `Unknown tag "${tag}". Add it (or an alias) to src/data/taxonomy.json.`,
+                });
+                return z.NEVER;
+            }
+            return def.name;
+        })
+    )
+    .transform((tags) => [...new Set(tags)]);
+
+// Seconds, written either as a number or as `12:34` / `1:02:03`
+const secondsSchema = z.union([z.number().nonnegative(), z.string()]).transform((value, ctx) => {
+    const seconds = typeof value === 'number' ? value : parseTimestamp(value);
+    if (seconds === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${value}" is not a timestamp like 12:34 or 1:02:03` });
+        return z.NEVER;
+    }
+    return seconds;
+});
 
 const posts = defineCollection({
     schema: z.object({
         title: z.string(),
         description: z.string(),
         pubDate: z.coerce.date(),
-        tags: z.array(z.string()).optional(),
+        // Written by the importer; /stats measures the time from import to pubDate with it
+        importedAt: z.coerce.date().optional(),
+        tags: tagsSchema.optional(),
         category: z.string().optional(),
         audioUrl: z.string().url().optional(),
+        // For the podcast feed's enclosure and <itunes:duration>; `npm run audio:probe` fills them in
+        audioDuration: secondsSchema.optional(),
+        audioLength: z.number().int().positive().optional(),
+        // Narration extras: chapter markers, and a transcript next to the post, either WebVTT
+        // or Markdown with `[mm:ss]` at the start of each paragraph. Name the Markdown one with
+        // a leading underscore (`_transcript.md`) so it isn't picked up as a post.
+        chapters: z.array(z.object({
+            start: secondsSchema,
+            title: z.string(),
+        })).transform((chapters) => chapters.sort((a, b) => a.start - b.start)).optional(),
+        transcript: z.string().regex(/\.(vtt|md)$/, 'transcript must be a .vtt or .md file').optional(),
+        // Multi-part essays; numbering gaps and duplicates fail the build (see utils/series.ts)
+        series: z.object({
+            name: z.string(),
+            order: z.number().int().positive(),
+            description: z.string().optional(),
+        }).optional(),
+        // Publishing state: drafts only show in `astro dev`, unlisted posts are built
+        // but kept out of listings/RSS/sitemap/search, future pubDates are scheduled
+        draft: z.boolean().default(false),
+        unlisted: z.boolean().default(false),
+        // Slug of the work this post is about; listed on /works/[slug] (checked in utils/works.ts)
+        relatedWork: z.string().optional(),
+        // English posts are built under /en/; a translation names the slug of the post it
+        // translates, which links the two versions (checked in utils/posts.ts)
+        lang: z.enum(LOCALES).default(DEFAULT_LOCALE),
+        translationOf: z.string().optional(),
     }),
 });
 
@@ -21,13 +80,22 @@ const works = defineCollection({
         link: z.string().url().optional(),
         tags: z.array(z.string()).optional(),
         featured: z.boolean().default(false),
-    }),
+        // Case study: what I did, what it was built with, and when (no endDate = still going)
+        role: z.string().optional(),
+        stack: z.array(z.string()).optional(),
+        status: z.enum(['active', 'archived']).default('active'),
+        startDate: z.coerce.date().optional(),
+        endDate: z.coerce.date().optional(),
+    }).refine(
+        (work) => !work.startDate || !work.endDate || work.startDate <= work.endDate,
+        { message: '`endDate` is before `startDate`', path: ['endDate'] }
+    ),
 });
 
-// Library: 音乐/视频/图书收藏
+// Library: 音乐/视频/图书/播客/电影/文章收藏，正文是短评
 const library = defineCollection({
     schema: ({ image }) => z.object({
-        type: z.enum(['music', 'video', 'book']),
+        type: z.enum(['music', 'video', 'book', 'podcast', 'film', 'article']),
         title: z.string(),
         // Music fields
         artist: z.string().optional(),
@@ -35,23 +103,45 @@ const library = defineCollection({
         // Video fields
         source: z.enum(['youtube', 'bilibili']).optional(),
         videoId: z.string().optional(),
-        // Book fields
+        // Book / article fields
         author: z.string().optional(),
         status: z.enum(['reading', 'finished', 'wishlist']).optional(),
         rating: z.number().min(1).max(5).optional(),
+        startedAt: z.coerce.date().optional(),
+        finishedAt: z.coerce.date().optional(),
+        // Percent read, for books in progress
+        progress: z.number().min(0).max(100).optional(),
+        // Podcast fields (Spotify episodes reuse `spotifyUrl`)
+        show: z.string().optional(),
+        host: z.string().optional(),
+        audioUrl: z.string().url().optional(),
+        // Film fields
+        director: z.string().optional(),
+        releaseYear: z.number().int().optional(),
+        runtime: z.number().int().positive().optional(), // minutes
+        // Article fields
+        publication: z.string().optional(),
         // Common fields
         coverImage: z.union([image(), z.string()]).optional(),
         link: z.string().url().optional(),
         comment: z.string().optional(),
         date: z.coerce.date(),
-    }),
+        // Shared with posts so a post can surface the books/videos it discusses
+        tags: tagsSchema.optional(),
+    }).refine(
+        (item) => !item.startedAt || !item.finishedAt || item.startedAt <= item.finishedAt,
+        { message: '`finishedAt` is before `startedAt`', path: ['finishedAt'] }
+    ),
 });
 
 // Notes: 闪念笔记
 const notes = defineCollection({
     schema: z.object({
         date: z.coerce.date(),
-        tags: z.array(z.string()).optional(),
+        tags: tagsSchema.optional(),
+        // Threads and quotes; targets that don't exist fail the build (see utils/notes.ts)
+        replyTo: z.string().optional(),
+        quote: z.string().regex(/^(posts|library)\/.+/, 'quote must be "posts/<slug>" or "library/<slug>"').optional(),
     }),
 });
 
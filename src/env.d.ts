@@ -1 +1,6 @@
-/// <reference path="../.astro/types.d.ts" />
\ No newline at end of file
+/// <reference path="../.astro/types.d.ts" />
+
+interface ImportMetaEnv {
+    /** Comments API the comment form posts to (scripts/comments_server.mjs); no form without it */
+    readonly PUBLIC_COMMENTS_API?: string;
+}
@@ -0,0 +1,5 @@
+import { feedResponse, getSiteFeed } from '../utils/feeds';
+
+export async function GET(context) {
+    return feedResponse('json', await getSiteFeed(context.site), context.site);
+}
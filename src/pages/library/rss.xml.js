@@ -0,0 +1,5 @@
+import { feedResponse, getLibraryFeed } from '../../utils/feeds';
+
+export async function GET(context) {
+    return feedResponse('rss', await getLibraryFeed(context.site), context.site);
+}
@@ -0,0 +1,5 @@
+import { feedResponse, getNotesFeed } from '../../utils/feeds';
+
+export async function GET(context) {
+    return feedResponse('atom', await getNotesFeed(context.site), context.site);
+}
@@ -0,0 +1,19 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import type { CollectionEntry } from 'astro:content';
+import { getRoutablePosts } from '../../../utils/posts';
+import { getPostImage, renderSocialCard } from '../../../utils/social';
+
+// Only posts without an image of their own need a generated card
+export const getStaticPaths = (async () => {
+    const posts = await getRoutablePosts();
+    const withoutImage = [];
+    for (const post of posts) {
+        if (!(await getPostImage(post))) withoutImage.push(post);
+    }
+    return withoutImage.map((post) => ({ params: { slug: post.slug }, props: { post } }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ post: CollectionEntry<'posts'> }> = async ({ props }) => {
+    const png = await renderSocialCard({ title: props.post.data.title, description: props.post.data.description });
+    return new Response(png, { headers: { 'Content-Type': 'image/png' } });
+};
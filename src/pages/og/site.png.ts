@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { SITE_DESCRIPTION, SITE_TITLE } from '../../consts';
+import { renderSocialCard } from '../../utils/social';
+
+// Default social image for pages that have nothing more specific
+export const GET: APIRoute = async () => {
+    const png = await renderSocialCard({ title: SITE_TITLE, description: SITE_DESCRIPTION });
+    return new Response(png, { headers: { 'Content-Type': 'image/png' } });
+};
@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { PODCAST_DESCRIPTION, PODCAST_TITLE } from '../consts';
+import { renderSocialCard } from '../utils/social';
+
+// Show artwork for /podcast.xml; Apple Podcasts wants a square between 1400 and 3000 px
+export const GET: APIRoute = async () => {
+    const png = await renderSocialCard({ title: PODCAST_TITLE, description: PODCAST_DESCRIPTION, width: 1400, height: 1400 });
+    return new Response(png, { headers: { 'Content-Type': 'image/png' } });
+};
@@ -0,0 +1,5 @@
+import { getPodcastFeed, podcastResponse } from '../utils/feeds';
+
+export async function GET(context) {
+    return podcastResponse(await getPodcastFeed(context.site), context.site);
+}
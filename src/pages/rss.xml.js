@@ -1,18 +1,5 @@
-import rss from '@astrojs/rss';
-import { getCollection } from 'astro:content';
+import { feedResponse, getSiteFeed } from '../utils/feeds';
 
 export async function GET(context) {
-    const posts = await getCollection('posts');
-    return rss({
-        title: "Kangyuan's Blog",
-        description: 'Rational Elegance - 一個追求理性优雅的博客',
-        site: context.site,
-        items: posts.map((post) => ({
-            title: post.data.title,
-            pubDate: post.data.pubDate,
-            description: post.data.description,
-            customData: post.data.customData,
-            link: `/posts/${post.slug}/`,
-        })),
-    });
+    return feedResponse('rss', await getSiteFeed(context.site), context.site);
 }
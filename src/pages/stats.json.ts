@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { getContentStats } from '../utils/stats';
+
+// The numbers behind /stats; just as private, so nothing links here either
+export const GET: APIRoute = async () => {
+    const stats = await getContentStats();
+    return new Response(JSON.stringify(stats, null, 2), {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    });
+};
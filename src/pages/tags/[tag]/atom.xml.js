@@ -0,0 +1,7 @@
+import { feedResponse, getTagFeed, getTagFeedPaths } from '../../../utils/feeds';
+
+export const getStaticPaths = getTagFeedPaths;
+
+export async function GET(context) {
+    return feedResponse('atom', await getTagFeed(context.params.tag, context.site), context.site);
+}
@@ -0,0 +1,20 @@
+// rehype-heading-anchors.mjs - 标题锚点：在每个标题后追加 # 链接，文案跟随文章的 lang
+//
+// rehype-autolink-headings only takes fixed properties, so this picks its options per file
+// from the frontmatter Astro hands to the Markdown pipeline (`file.data.astro.frontmatter`).
+import rehypeAutolinkHeadings from 'rehype-autolink-headings';
+import { LOCALES, toLocale, useTranslations } from '../utils/i18n';
+
+const transformers = Object.fromEntries(LOCALES.map((locale) => {
+    const t = useTranslations(locale);
+    return [locale, rehypeAutolinkHeadings({
+        behavior: 'append',
+        // data-copied-label is shown by PostPage.astro's CSS once the link has been copied
+        properties: { className: ['heading-anchor'], ariaLabel: t('post.copyLink'), dataCopiedLabel: t('post.linkCopied'), dataPagefindIgnore: '' },
+        content: { type: 'text', value: '#' },
+    })];
+}));
+
+export default function rehypeHeadingAnchors() {
+    return (tree, file) => transformers[toLocale(file.data.astro?.frontmatter?.lang)](tree);
+}
@@ -0,0 +1,103 @@
+// rehype-post-images.mjs - 文章图片：题注、响应式宽度和模糊占位图
+//
+// Runs before Astro's own image step, which moves every property of a local <img> into the
+// options of `getImage()`. So `widths`/`sizes` set here turn into a WebP srcset, and the
+// remaining properties come out as plain attributes. Property keys therefore use attribute
+// names (`data-image-source`) rather than hast names (`dataImageSource`).
+import path from 'node:path';
+import sharp from 'sharp';
+
+// Candidate widths for the srcset, capped at the original's own width
+export const IMAGE_WIDTHS = [480, 800, 1200, 1600];
+// The article column is at most ~800px wide (prose-xl)
+export const IMAGE_SIZES = '(min-width: 1024px) 800px, 100vw';
+
+const PLACEHOLDER_WIDTH = 16;
+const RASTER_IMAGE = /\.(jpe?g|png|webp|avif|tiff?)$/i;
+
+function isLocal(src) {
+    return !/^(?:[a-z][a-z0-9+.-]*:|\/\/|\/)/i.test(src);
+}
+
+function isWhitespace(node) {
+    return node.type === 'text' && node.value.trim() === '';
+}
+
+function srcsetWidths(width) {
+    const largest = Math.min(width, IMAGE_WIDTHS.at(-1));
+    return [...IMAGE_WIDTHS.filter((candidate) => candidate < largest), largest];
+}
+
+/** A tiny blurred WebP inlined as the background until the real image has loaded. */
+async function blurPlaceholder(image) {
+    const buffer = await image
+        .resize(PLACEHOLDER_WIDTH)
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+async function optimize(img, dir) {
+    const src = decodeURI(img.properties.src);
+    if (!isLocal(src) || !RASTER_IMAGE.test(src)) return;
+
+    let width, placeholder;
+    try {
+        const image = sharp(path.resolve(dir, src));
+        ({ width } = await image.metadata());
+        placeholder = await blurPlaceholder(image);
+    } catch {
+        // Missing or unreadable file: leave it to Astro, which reports the broken reference
+        return;
+    }
+    Object.assign(img.properties, {
+        widths: srcsetWidths(width),
+        sizes: IMAGE_SIZES,
+        style: `background-image:url(${placeholder});background-size:cover;background-repeat:no-repeat`,
+        'data-placeholder': '',
+        // Lets <OptimizedImages> find the original again to add an AVIF <source>
+        'data-image-source': src,
+    });
+}
+
+// `![alt](./a.png "Caption")` on its own line becomes <figure> with a <figcaption>
+function toFigure(paragraph) {
+    const children = paragraph.children.filter((child) => !isWhitespace(child));
+    if (children.length !== 1 || children[0].tagName !== 'img') return null;
+
+    const img = children[0];
+    const caption = img.properties.title;
+    if (!caption) return null;
+    delete img.properties.title;
+
+    return {
+        type: 'element',
+        tagName: 'figure',
+        properties: {},
+        children: [
+            img,
+            { type: 'element', tagName: 'figcaption', properties: {}, children: [{ type: 'text', value: String(caption) }] },
+        ],
+    };
+}
+
+export default function rehypePostImages() {
+    return async (tree, file) => {
+        const images = [];
+        const walk = (node) => {
+            if (!node.children) return;
+            node.children = node.children.map((child) => {
+                if (child.type !== 'element') return child;
+                if (child.tagName === 'img' && child.properties?.src) images.push(child);
+                return (child.tagName === 'p' && toFigure(child)) || child;
+            });
+            node.children.forEach(walk);
+        };
+        walk(tree);
+
+        // Only Markdown files on disk have co-located images to read
+        if (!file.path) return;
+        await Promise.all(images.map((img) => optimize(img, file.dirname)));
+    };
+}
@@ -0,0 +1,44 @@
+// archive.ts - 文章归档：按 pubDate 分年、分月
+import { SITE_LANGUAGE } from '../consts';
+import { getPublishedPosts, type Post } from './posts';
+
+export interface ArchiveMonth {
+    /** 1-12 */
+    month: number;
+    label: string;
+    posts: Post[];
+}
+
+export interface ArchiveYear {
+    year: number;
+    count: number;
+    /** Newest month first */
+    months: ArchiveMonth[];
+}
+
+export function archiveYearPath(year: number) {
+    return `/archive/${year}/`;
+}
+
+/** Published posts by year and month, newest first; only years and months that have posts. */
+export async function getArchive(): Promise<ArchiveYear[]> {
+    const years: ArchiveYear[] = [];
+    // getPublishedPosts() is sorted by pubDate, so each year and month is one consecutive run.
+    // pubDate is a bare date (midnight UTC), so it is read in UTC whatever the build machine's timezone
+    for (const post of await getPublishedPosts()) {
+        const date = post.data.pubDate;
+        let year = years.at(-1);
+        if (year?.year !== date.getUTCFullYear()) {
+            year = { year: date.getUTCFullYear(), count: 0, months: [] };
+            years.push(year);
+        }
+        let month = year.months.at(-1);
+        if (month?.month !== date.getUTCMonth() + 1) {
+            month = { month: date.getUTCMonth() + 1, label: date.toLocaleDateString(SITE_LANGUAGE, { month: 'long', timeZone: 'UTC' }), posts: [] };
+            year.months.push(month);
+        }
+        month.posts.push(post);
+        year.count++;
+    }
+    return years;
+}
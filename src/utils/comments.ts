@@ -0,0 +1,39 @@
+// comments.ts - 读者评论：读取导出的已审核评论（src/data/comments.json），按回复关系组成树
+import exported from '../data/comments.json';
+
+/** An approved comment as exported by `npm run comments` (scripts/lib/comments.mjs) */
+export interface Comment {
+    id: string;
+    parentId?: string;
+    author: string;
+    url?: string;
+    /** Sanitized at export */
+    html: string;
+    date: string;
+}
+
+export interface CommentNode extends Comment {
+    replies: CommentNode[];
+}
+
+/** Replies deeper than this are shown at the same indent as their parent */
+export const MAX_COMMENT_DEPTH = 3;
+
+const threads = exported as Record<string, Comment[]>;
+
+/** `posts/<slug>` or `notes/<slug>`: the thread id the form posts and the export is keyed by. */
+export function commentThread(collection: 'posts' | 'notes', slug: string) {
+    return `${collection}/${slug}`;
+}
+
+/** The thread's comments as a tree, oldest first at every level, with the total count. */
+export function getComments(thread: string) {
+    const comments = threads[thread] ?? [];
+    const nodes = new Map<string, CommentNode>(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+    const roots: CommentNode[] = [];
+    for (const node of nodes.values()) {
+        const parent = node.parentId ? nodes.get(node.parentId) : undefined;
+        (parent ? parent.replies : roots).push(node);
+    }
+    return { comments: roots, count: comments.length };
+}
@@ -0,0 +1,398 @@
+// feeds.ts - RSS 2.0 / Atom / JSON Feed 1.1 输出，正文为完整渲染后的 HTML
+import rss from '@astrojs/rss';
+import { experimental_AstroContainer as AstroContainer } from 'astro/container';
+import { getCollection, type CollectionEntry } from 'astro:content';
+import {
+    PODCAST_CATEGORY,
+    PODCAST_DESCRIPTION,
+    PODCAST_EXPLICIT,
+    PODCAST_TITLE,
+    SITE_AUTHOR,
+    SITE_DESCRIPTION,
+    SITE_LANGUAGE,
+    SITE_TITLE,
+} from '../consts';
+import { coverSrc, libraryCreator, libraryItemPath } from './library';
+import { getNoteContexts, getNotes, notePath, noteTitle } from './notes';
+import { stripImageHints } from './postImages';
+import { DEFAULT_LOCALE, localizePath, useTranslations, type Locale } from './i18n';
+import { getPublishedPosts, postPath } from './posts';
+
+export interface FeedEnclosure {
+    url: string;
+    type: string;
+    /** Byte length; 0 when unknown (allowed by RSS 2.0) */
+    length: number;
+    /** Seconds, when known */
+    duration?: number;
+}
+
+export interface FeedItem {
+    /** Site-relative URL, also used as the stable id */
+    link: string;
+    title: string;
+    date: Date;
+    summary?: string;
+    contentHtml: string;
+    tags: string[];
+    enclosure?: FeedEnclosure;
+}
+
+export interface Feed {
+    title: string;
+    description: string;
+    /** Site-relative page the feed mirrors, e.g. `/tags/NVIDIA/` */
+    homePath: string;
+    /** Site-relative directory the feed files live in, e.g. `/tags/NVIDIA/` (rss.xml, atom.xml, feed.json) */
+    feedDir: string;
+    items: FeedItem[];
+    /** Defaults to SITE_LANGUAGE */
+    language?: Locale;
+}
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+const FEED_FILES: Record<FeedFormat, string> = {
+    rss: 'rss.xml',
+    atom: 'atom.xml',
+    json: 'feed.json',
+};
+
+// --- Rendering ---
+
+let container: Promise<AstroContainer> | undefined;
+
+type RenderableEntry = CollectionEntry<'posts' | 'notes' | 'library' | 'works'>;
+
+/** Render an entry's Markdown to HTML with every root-relative URL made absolute. */
+export async function renderEntryHtml(entry: RenderableEntry, site: URL) {
+    container ??= AstroContainer.create();
+    const { Content } = await entry.render();
+    const html = await (await container).renderToString(Content);
+    return absolutizeUrls(stripImageHints(html), site);
+}
+
+// Co-located images are emitted as /_astro/... URLs, which feed readers can't resolve
+export function absolutizeUrls(html: string, site: URL) {
+    const absolute = (url: string) => (url.startsWith('/') && !url.startsWith('//') ? new URL(url, site).href : url);
+    return html
+        .replace(/(\s(?:src|href|poster)=")([^"]*)"/g, (_, attr: string, url: string) => `${attr}${absolute(url)}"`)
+        .replace(/(\ssrcset=")([^"]*)"/g, (_, attr: string, set: string) => {
+            const candidates = set.split(',').map((candidate) => {
+                const [url, descriptor] = candidate.trim().split(/\s+/);
+                return [absolute(url), descriptor].filter(Boolean).join(' ');
+            });
+            return `${attr}${candidates.join(', ')}"`;
+        });
+}
+
+export function audioEnclosure(url: string | undefined, length = 0, duration?: number): FeedEnclosure | undefined {
+    return url ? { url, type: 'audio/mpeg', length, duration } : undefined;
+}
+
+export const PODCAST_PATH = '/podcast.xml';
+export const PODCAST_ARTWORK_PATH = '/podcast.png';
+
+// --- Serializers ---
+
+function escapeXml(value: string) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+export function feedUrl(feed: Feed, format: FeedFormat, site: URL) {
+    return new URL(`${feed.feedDir}${FEED_FILES[format]}`, site).href;
+}
+
+export function rssResponse(feed: Feed, site: URL) {
+    return rss({
+        title: feed.title,
+        description: feed.description,
+        site,
+        xmlns: { atom: 'http://www.w3.org/2005/Atom' },
+        customData: [
+            `<language>${feed.language ?? SITE_LANGUAGE}</language>`,
+            `<atom:link href="${feedUrl(feed, 'rss', site)}" rel="self" type="application/rss+xml"/>`,
+        ].join(''),
+        items: feed.items.map((item) => ({
+            title: item.title,
+            pubDate: item.date,
+            description: item.summary,
+            link: item.link,
+            content: item.contentHtml,
+            categories: item.tags,
+            enclosure: item.enclosure,
+        })),
+    });
+}
+
+export function atomResponse(feed: Feed, site: URL) {
+    const updated = feed.items[0]?.date ?? new Date();
+    const entries = feed.items.map((item) => {
+        const url = new URL(item.link, site).href;
+        return [
+            '<entry>',
+            `<id>${escapeXml(url)}</id>`,
+            `<title>${escapeXml(item.title)}</title>`,
+            `<link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+            `<published>${item.date.toISOString()}</published>`,
+            `<updated>${item.date.toISOString()}</updated>`,
+            item.summary ? `<summary>${escapeXml(item.summary)}</summary>` : '',
+            `<content type="html">${escapeXml(item.contentHtml)}</content>`,
+            ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+            item.enclosure
+                ? `<link rel="enclosure" type="${item.enclosure.type}" length="${item.enclosure.length}" href="${escapeXml(item.enclosure.url)}"/>`
+                : '',
+            '</entry>',
+        ].join('');
+    });
+
+    const body = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language ?? SITE_LANGUAGE}">`,
+        `<id>${escapeXml(new URL(feed.homePath, site).href)}</id>`,
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(new URL(feed.homePath, site).href)}"/>`,
+        `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl(feed, 'atom', site))}"/>`,
+        `<updated>${updated.toISOString()}</updated>`,
+        `<author><name>${escapeXml(SITE_AUTHOR)}</name></author>`,
+        ...entries,
+        '</feed>',
+    ].join('\n');
+
+    return new Response(body, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+}
+
+export function jsonFeedResponse(feed: Feed, site: URL) {
+    const body = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: new URL(feed.homePath, site).href,
+        feed_url: feedUrl(feed, 'json', site),
+        language: feed.language ?? SITE_LANGUAGE,
+        authors: [{ name: SITE_AUTHOR }],
+        items: feed.items.map((item) => ({
+            id: new URL(item.link, site).href,
+            url: new URL(item.link, site).href,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.contentHtml,
+            date_published: item.date.toISOString(),
+            tags: item.tags.length > 0 ? item.tags : undefined,
+            attachments: item.enclosure
+                ? [{
+                    url: item.enclosure.url,
+                    mime_type: item.enclosure.type,
+                    ...(item.enclosure.length ? { size_in_bytes: item.enclosure.length } : {}),
+                    ...(item.enclosure.duration ? { duration_in_seconds: Math.round(item.enclosure.duration) } : {}),
+                }]
+                : undefined,
+        })),
+    };
+
+    return new Response(JSON.stringify(body, null, 2), {
+        headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+    });
+}
+
+/**
+ * RSS 2.0 with the iTunes tags podcast directories read. Only items with an enclosure
+ * become episodes; the GUID is the post URL, so renaming the audio file doesn't re-list it.
+ */
+export function podcastResponse(feed: Feed, site: URL) {
+    const selfUrl = new URL(PODCAST_PATH, site).href;
+    const artwork = new URL(PODCAST_ARTWORK_PATH, site).href;
+    const explicit = String(PODCAST_EXPLICIT);
+    const { name, subcategory } = PODCAST_CATEGORY;
+    return rss({
+        title: feed.title,
+        description: feed.description,
+        site,
+        xmlns: {
+            atom: 'http://www.w3.org/2005/Atom',
+            itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+        },
+        customData: [
+            `<language>${SITE_LANGUAGE}</language>`,
+            `<atom:link href="${selfUrl}" rel="self" type="application/rss+xml"/>`,
+            `<image><url>${artwork}</url><title>${escapeXml(feed.title)}</title><link>${new URL(feed.homePath, site).href}</link></image>`,
+            `<itunes:author>${escapeXml(SITE_AUTHOR)}</itunes:author>`,
+            `<itunes:summary>${escapeXml(feed.description)}</itunes:summary>`,
+            `<itunes:image href="${artwork}"/>`,
+            subcategory
+                ? `<itunes:category text="${escapeXml(name)}"><itunes:category text="${escapeXml(subcategory)}"/></itunes:category>`
+                : `<itunes:category text="${escapeXml(name)}"/>`,
+            `<itunes:explicit>${explicit}</itunes:explicit>`,
+            '<itunes:type>episodic</itunes:type>',
+        ].join(''),
+        items: feed.items
+            .filter((item) => item.enclosure)
+            .map((item) => ({
+                title: item.title,
+                pubDate: item.date,
+                description: item.summary,
+                link: item.link,
+                // Show notes: the description, then the post itself
+                content: [
+                    item.summary ? `<p>${escapeXml(item.summary)}</p>` : '',
+                    item.contentHtml,
+                    `<p><a href="${new URL(item.link, site).href}">阅读原文</a></p>`,
+                ].join(''),
+                categories: item.tags,
+                enclosure: item.enclosure,
+                customData: [
+                    `<itunes:title>${escapeXml(item.title)}</itunes:title>`,
+                    item.summary ? `<itunes:subtitle>${escapeXml(item.summary)}</itunes:subtitle>` : '',
+                    item.enclosure?.duration ? `<itunes:duration>${Math.round(item.enclosure.duration)}</itunes:duration>` : '',
+                    `<itunes:explicit>${explicit}</itunes:explicit>`,
+                    '<itunes:episodeType>full</itunes:episodeType>',
+                ].join(''),
+            })),
+    });
+}
+
+/** Serialize a feed in the requested format. */
+export function feedResponse(format: FeedFormat, feed: Feed, site: URL) {
+    switch (format) {
+        case 'rss':
+            return rssResponse(feed, site);
+        case 'atom':
+            return atomResponse(feed, site);
+        case 'json':
+            return jsonFeedResponse(feed, site);
+    }
+}
+
+// --- Collections ---
+
+export async function postFeedItems(posts: CollectionEntry<'posts'>[], site: URL): Promise<FeedItem[]> {
+    return Promise.all(
+        posts.map(async (post) => ({
+            link: postPath(post),
+            title: post.data.title,
+            date: post.data.pubDate,
+            summary: post.data.description,
+            contentHtml: await renderEntryHtml(post, site),
+            tags: post.data.tags ?? [],
+            enclosure: audioEnclosure(post.data.audioUrl, post.data.audioLength, post.data.audioDuration),
+        }))
+    );
+}
+
+export async function noteFeedItems(notes: CollectionEntry<'notes'>[], site: URL): Promise<FeedItem[]> {
+    const contexts = await getNoteContexts();
+    return Promise.all(
+        notes.map(async (note) => {
+            const { parent, quote } = contexts.get(note.slug) ?? {};
+            const parts = [
+                parent ? `<p>↪ 回复 <a href="${notePath(parent)}">${escapeXml(noteTitle(parent))}</a></p>` : '',
+                await renderEntryHtml(note, site),
+                quote ? `<blockquote><p><a href="${quote.href}">${escapeXml(quote.title)}</a></p></blockquote>` : '',
+            ];
+            return {
+                link: notePath(note),
+                title: noteTitle(note),
+                date: note.data.date,
+                contentHtml: absolutizeUrls(parts.join(''), site),
+                tags: note.data.tags ?? [],
+            };
+        })
+    );
+}
+
+export async function libraryFeedItems(items: CollectionEntry<'library'>[], site: URL): Promise<FeedItem[]> {
+    return Promise.all(
+        items.map(async (item) => {
+            const cover = coverSrc(item);
+            const byline = libraryCreator(item);
+            const parts = [
+                cover ? `<p><img src="${escapeXml(cover)}" alt="${escapeXml(item.data.title)}"/></p>` : '',
+                item.data.comment ? `<blockquote><p>${escapeXml(item.data.comment)}</p></blockquote>` : '',
+                await renderEntryHtml(item, site),
+                item.data.link ? `<p><a href="${escapeXml(item.data.link)}">${escapeXml(item.data.link)}</a></p>` : '',
+            ];
+            return {
+                link: libraryItemPath(item),
+                title: byline ? `${item.data.title} — ${byline}` : item.data.title,
+                date: item.data.date,
+                summary: item.data.comment,
+                contentHtml: absolutizeUrls(parts.join(''), site),
+                tags: [item.data.type, ...(item.data.tags ?? [])],
+            };
+        })
+    );
+}
+
+// --- Feeds ---
+
+/** The posts feed of one language: /rss.xml etc. for Chinese, /en/rss.xml etc. for English. */
+export async function getSiteFeed(site: URL, lang: Locale = DEFAULT_LOCALE): Promise<Feed> {
+    const home = localizePath('/', lang);
+    return {
+        title: lang === DEFAULT_LOCALE ? SITE_TITLE : `${SITE_TITLE} (${lang})`,
+        description: lang === DEFAULT_LOCALE ? SITE_DESCRIPTION : useTranslations(lang)('home.tagline'),
+        homePath: home,
+        feedDir: home,
+        items: await postFeedItems(await getPublishedPosts(lang), site),
+        language: lang,
+    };
+}
+
+export async function getPodcastFeed(site: URL): Promise<Feed> {
+    // Podcast apps reject length="0" enclosures, so a post waits for `npm run audio:probe`
+    // (scripts/lint_content.mjs reports it as an error meanwhile)
+    const posts = (await getPublishedPosts()).filter((post) => post.data.audioUrl && post.data.audioLength);
+    return {
+        title: PODCAST_TITLE,
+        description: PODCAST_DESCRIPTION,
+        homePath: '/',
+        feedDir: '/',
+        items: await postFeedItems(posts, site),
+    };
+}
+
+/** `getStaticPaths` for the per-tag feed endpoints under /tags/[tag]/ */
+export async function getTagFeedPaths() {
+    const posts = await getPublishedPosts();
+    const tags = [...new Set(posts.flatMap((post) => post.data.tags || []))];
+    return tags.map((tag) => ({ params: { tag } }));
+}
+
+export async function getTagFeed(tag: string, site: URL): Promise<Feed> {
+    const posts = (await getPublishedPosts()).filter((post) => post.data.tags?.includes(tag));
+    return {
+        title: `#${tag} | ${SITE_TITLE}`,
+        description: `${SITE_TITLE} 中标签为 ${tag} 的文章`,
+        homePath: `/tags/${tag}/`,
+        feedDir: `/tags/${tag}/`,
+        items: await postFeedItems(posts, site),
+    };
+}
+
+export async function getNotesFeed(site: URL): Promise<Feed> {
+    const notes = await getNotes();
+    return {
+        title: `Notes | ${SITE_TITLE}`,
+        description: '一些临时的想法和闪念记录。',
+        homePath: '/notes/',
+        feedDir: '/notes/',
+        items: await noteFeedItems(notes, site),
+    };
+}
+
+export async function getLibraryFeed(site: URL): Promise<Feed> {
+    const items = (await getCollection('library')).sort((a, b) => b.data.date.valueOf() - a.data.date.valueOf());
+    return {
+        title: `Library | ${SITE_TITLE}`,
+        description: '音乐、视频、图书、播客、电影和文章，我正在消费的内容。',
+        homePath: '/library/',
+        feedDir: '/library/',
+        items: await libraryFeedItems(items, site),
+    };
+}
@@ -0,0 +1,172 @@
+// i18n.ts - 界面语言：中文（默认，无前缀）与英文（/en/），界面文案字典和路径换算
+// (no astro:content import here, so client scripts can use it)
+
+/** Same codes as `i18n.locales` in astro.config.mjs; also the `lang` of posts. */
+export const LOCALES = ['zh-CN', 'en'] as const;
+export type Locale = (typeof LOCALES)[number];
+export const DEFAULT_LOCALE: Locale = 'zh-CN';
+
+/** Each language's name in itself, for the language switcher. */
+export const LOCALE_NAMES: Record<Locale, string> = {
+    'zh-CN': '中文',
+    en: 'English',
+};
+
+/** og:locale values */
+export const OG_LOCALES: Record<Locale, string> = {
+    'zh-CN': 'zh_CN',
+    en: 'en_US',
+};
+
+// `{name}` placeholders are filled in by t()
+const zh = {
+    'nav.home': '首页',
+    'nav.works': '作品',
+    'nav.library': '收藏',
+    'nav.blog': '博客',
+    'nav.notes': '笔记',
+    'nav.about': '关于',
+    'nav.switchLanguage': '切换语言',
+    'theme.toggle': '切换深色模式',
+    'footer.rights': '版权所有',
+
+    'home.tagline': '安放思考，自由表达，分享创造',
+    'home.latest': '最新文章',
+    'home.viewAll': '查看全部',
+
+    'blog.title': '博客',
+    'blog.page': '博客 · 第 {page} 页',
+    'blog.total': '共 {count} 篇',
+    'blog.archive': '按时间归档 →',
+
+    'pagination.label': '分页',
+    'pagination.newer': '← 较新',
+    'pagination.older': '较早 →',
+    'pagination.position': '第 {page} / {last} 页',
+
+    'post.draft': '草稿',
+    'post.scheduled': '定时发布',
+    'post.unlisted': '未公开',
+    'post.listen': '收听本文',
+    'post.translations': '本文其他语言版本：',
+    'post.readingTime': '约 {minutes} 分钟 · {words} 字',
+    'post.toc': '目录',
+    'post.transcript': '文字稿',
+    'post.seriesPosition': '第 {index} 篇 / 共 {total} 篇',
+    'post.copyLink': '复制本节链接',
+    'post.linkCopied': '已复制',
+
+    'related.adjacent': '上一篇 / 下一篇',
+    'related.previous': '← 上一篇',
+    'related.next': '下一篇 →',
+    'related.posts': '延伸阅读',
+    'related.entries': '相关笔记与收藏',
+
+    'comments.title': '评论',
+    'comments.empty': '还没有评论。',
+    'comments.reply': '回复',
+    'comments.replyingTo': '回复 {author}',
+    'comments.cancel': '取消',
+    'comments.name': '昵称',
+    'comments.website': '网站（可选）',
+    'comments.body': '说点什么吧，支持 Markdown',
+    'comments.honeypot': '请留空',
+    'comments.submit': '发表评论',
+    'comments.submitting': '提交中…',
+    'comments.pending': '已提交，审核通过后就会显示。',
+    'comments.rateLimited': '评论太频繁了，请稍后再试。',
+    'comments.failed': '提交失败：{message}',
+
+    'lightbox.label': '查看大图',
+    'lightbox.close': '关闭',
+
+    'search.placeholder': '搜索文章...',
+};
+
+export type UiKey = keyof typeof zh;
+
+const en: Record<UiKey, string> = {
+    'nav.home': 'Home',
+    'nav.works': 'Works',
+    'nav.library': 'Library',
+    'nav.blog': 'Blog',
+    'nav.notes': 'Notes',
+    'nav.about': 'About',
+    'nav.switchLanguage': 'Switch language',
+    'theme.toggle': 'Toggle dark mode',
+    'footer.rights': 'All rights reserved',
+
+    'home.tagline': 'A place to think, write freely and share what I make',
+    'home.latest': 'Latest Writing',
+    'home.viewAll': 'View all',
+
+    'blog.title': 'Blog',
+    'blog.page': 'Blog · Page {page}',
+    'blog.total': '{count} posts',
+    'blog.archive': 'Archive →',
+
+    'pagination.label': 'Pagination',
+    'pagination.newer': '← Newer',
+    'pagination.older': 'Older →',
+    'pagination.position': 'Page {page} of {last}',
+
+    'post.draft': 'Draft',
+    'post.scheduled': 'Scheduled',
+    'post.unlisted': 'Unlisted',
+    'post.listen': 'Listen to this post',
+    'post.translations': 'Also available in:',
+    'post.readingTime': '{minutes} min read · {words} words',
+    'post.toc': 'Contents',
+    'post.transcript': 'Transcript',
+    'post.seriesPosition': 'Part {index} of {total}',
+    'post.copyLink': 'Copy link to this section',
+    'post.linkCopied': 'Copied',
+
+    'related.adjacent': 'Previous / next post',
+    'related.previous': '← Previous',
+    'related.next': 'Next →',
+    'related.posts': 'Further Reading',
+    'related.entries': 'Related Notes & Library',
+
+    'comments.title': 'Comments',
+    'comments.empty': 'No comments yet.',
+    'comments.reply': 'Reply',
+    'comments.replyingTo': 'Replying to {author}',
+    'comments.cancel': 'Cancel',
+    'comments.name': 'Name',
+    'comments.website': 'Website (optional)',
+    'comments.body': 'Say something; Markdown works',
+    'comments.honeypot': 'Leave this empty',
+    'comments.submit': 'Post comment',
+    'comments.submitting': 'Posting…',
+    'comments.pending': 'Thanks! Your comment will show up once it is approved.',
+    'comments.rateLimited': 'Too many comments in a row, please try again later.',
+    'comments.failed': 'Could not post: {message}',
+
+    'lightbox.label': 'Image viewer',
+    'lightbox.close': 'Close',
+
+    'search.placeholder': 'Search posts...',
+};
+
+const ui: Record<Locale, Record<UiKey, string>> = { 'zh-CN': zh, en };
+
+/** `Astro.currentLocale` (or any string) as a supported locale, falling back to the default. */
+export function toLocale(value: string | undefined): Locale {
+    return LOCALES.find((locale) => locale === value) ?? DEFAULT_LOCALE;
+}
+
+/** `t('blog.page', { page: 2 })` in the given language. */
+export function useTranslations(locale: string | undefined) {
+    const strings = ui[toLocale(locale)];
+    return (key: UiKey, values: Record<string, string | number> = {}) =>
+        strings[key].replace(/\{(\w+)\}/g, (match, name: string) => (name in values ? String(values[name]) : match));
+}
+
+/** Site path in the given language: `/blog/` → `/en/blog/` (the default language has no prefix). */
+export function localizePath(path: string, locale: Locale) {
+    return locale === DEFAULT_LOCALE ? path : `/${locale}${path}`;
+}
+
+/** Links to the same page in other languages, keyed by locale (rel=alternate hreflang). */
+export type Alternates = Partial<Record<Locale, string>>;
@@ -0,0 +1,100 @@
+// library.ts - 收藏：类型信息、详情页地址和按年份汇总的“读过/看过/听过”
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+export type LibraryItem = CollectionEntry<'library'>;
+export type LibraryType = LibraryItem['data']['type'];
+export type LibraryStatus = NonNullable<LibraryItem['data']['status']>;
+
+export const LIBRARY_TYPES: LibraryType[] = ['music', 'video', 'book', 'podcast', 'film', 'article'];
+
+export const LIBRARY_TYPE_ICONS: Record<LibraryType, string> = {
+    music: '🎵',
+    video: '🎬',
+    book: '📚',
+    podcast: '🎙️',
+    film: '🎞️',
+    article: '📰',
+};
+
+export const LIBRARY_TYPE_LABELS: Record<LibraryType, string> = {
+    music: 'Music',
+    video: 'Video',
+    book: 'Book',
+    podcast: 'Podcast',
+    film: 'Film',
+    article: 'Article',
+};
+
+export const LIBRARY_STATUS_LABELS: Record<LibraryStatus, string> = {
+    reading: 'Reading',
+    finished: 'Finished',
+    wishlist: 'Wishlist',
+};
+
+// How the yearly summary groups types: what was read, watched and listened to
+export const LIBRARY_VERBS = [
+    { label: '读过', types: ['book', 'article'] },
+    { label: '看过', types: ['film', 'video'] },
+    { label: '听过', types: ['podcast', 'music'] },
+] as const satisfies readonly { label: string; types: LibraryType[] }[];
+
+export function libraryItemPath(item: LibraryItem) {
+    return `/library/${item.slug}/`;
+}
+
+/** Artist, author, director or show, whichever the type has. */
+export function libraryCreator(item: LibraryItem) {
+    const { artist, author, director, show, host, publication } = item.data;
+    return artist ?? author ?? director ?? show ?? host ?? publication;
+}
+
+export function coverSrc(item: LibraryItem) {
+    const { coverImage } = item.data;
+    return typeof coverImage === 'string' ? coverImage : coverImage?.src;
+}
+
+/** Newest first, by the date the item was added. */
+export async function getLibraryItems() {
+    return (await getCollection('library')).sort((a, b) => b.data.date.valueOf() - a.data.date.valueOf());
+}
+
+// --- Yearly Summary ---
+
+/** When the item was read/watched/listened to: `finishedAt`, else the date it was added. */
+export function completedDate(item: LibraryItem) {
+    return item.data.finishedAt ?? item.data.date;
+}
+
+/** Wishlist items were never consumed, and items in progress belong to the year they finish. */
+export function isCompleted(item: LibraryItem) {
+    return item.data.status !== 'wishlist' && item.data.status !== 'reading';
+}
+
+export interface LibraryYear {
+    year: number;
+    /** Completed that year, best rated (then most recent) first */
+    items: LibraryItem[];
+    averageRating?: number;
+}
+
+/** Completed items grouped by the year they were finished, newest year first. */
+export async function getLibraryYears(): Promise<LibraryYear[]> {
+    const byYear = new Map<number, LibraryItem[]>();
+    for (const item of (await getLibraryItems()).filter(isCompleted)) {
+        const year = completedDate(item).getFullYear();
+        byYear.set(year, [...(byYear.get(year) ?? []), item]);
+    }
+
+    return [...byYear]
+        .sort(([a], [b]) => b - a)
+        .map(([year, items]) => {
+            const rated = items.filter((item) => item.data.rating !== undefined);
+            const averageRating = rated.length
+                ? rated.reduce((sum, item) => sum + item.data.rating!, 0) / rated.length
+                : undefined;
+            items.sort((a, b) =>
+                (b.data.rating ?? 0) - (a.data.rating ?? 0) || completedDate(b).valueOf() - completedDate(a).valueOf()
+            );
+            return { year, items, averageRating };
+        });
+}
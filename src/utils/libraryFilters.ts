@@ -0,0 +1,70 @@
+// libraryFilters.ts - Library 页的筛选与排序：地址栏参数 ⇄ 筛选条件，页面和浏览器脚本共用
+// (no astro:content import here, so the client script can use it)
+
+export const LIBRARY_SORTS = ['date', 'rating', 'title'] as const;
+export type LibrarySort = (typeof LIBRARY_SORTS)[number];
+
+export const LIBRARY_SORT_LABELS: Record<LibrarySort, string> = {
+    date: '最近添加',
+    rating: '评分最高',
+    title: '标题',
+};
+
+/** Rating facet values: "at least N stars". */
+export const MIN_RATINGS = [5, 4, 3] as const;
+
+export interface LibraryFilter {
+    type?: string;
+    status?: string;
+    minRating?: number;
+    sort: LibrarySort;
+}
+
+/** What the filters look at, read from the `data-*` attributes of each grid item. */
+export interface LibraryFacetValues {
+    type: string;
+    status?: string;
+    rating?: number;
+    /** Milliseconds since epoch of `date` */
+    date: number;
+    title: string;
+}
+
+/** `?type=book&status=reading&rating=4&sort=rating`; the type pages pass their type as `fixedType`. */
+export function parseFilter(params: URLSearchParams, fixedType?: string): LibraryFilter {
+    const sort = params.get('sort');
+    const minRating = Number(params.get('rating'));
+    return {
+        type: fixedType ?? (params.get('type') || undefined),
+        status: params.get('status') || undefined,
+        minRating: minRating >= 1 && minRating <= 5 ? minRating : undefined,
+        sort: LIBRARY_SORTS.includes(sort as LibrarySort) ? (sort as LibrarySort) : 'date',
+    };
+}
+
+/** Query string for a filter; `type` is left out on the per-type pages, where the path carries it. */
+export function filterQuery(filter: LibraryFilter, { includeType = true } = {}) {
+    const params = new URLSearchParams();
+    if (includeType && filter.type) params.set('type', filter.type);
+    if (filter.status) params.set('status', filter.status);
+    if (filter.minRating) params.set('rating', String(filter.minRating));
+    if (filter.sort !== 'date') params.set('sort', filter.sort);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/** Whether an item passes the filter; `ignore` skips one facet, for counting that facet's options. */
+export function matchesFilter(item: LibraryFacetValues, filter: LibraryFilter, ignore?: 'type' | 'status' | 'minRating') {
+    if (ignore !== 'type' && filter.type && item.type !== filter.type) return false;
+    if (ignore !== 'status' && filter.status && item.status !== filter.status) return false;
+    if (ignore !== 'minRating' && filter.minRating && (item.rating ?? 0) < filter.minRating) return false;
+    return true;
+}
+
+export function compareItems(sort: LibrarySort) {
+    return (a: LibraryFacetValues, b: LibraryFacetValues) => {
+        if (sort === 'rating') return (b.rating ?? 0) - (a.rating ?? 0) || b.date - a.date;
+        if (sort === 'title') return a.title.localeCompare(b.title, 'zh-CN');
+        return b.date - a.date;
+    };
+}
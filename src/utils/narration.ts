@@ -0,0 +1,47 @@
+// narration.ts - 朗读音频的共用类型与时间工具：内容 schema、页面和浏览器端播放器共用
+// (no astro:content import here, so client scripts can use it)
+
+export interface NarrationChapter {
+    /** Seconds from the start */
+    start: number;
+    title: string;
+}
+
+/** What the site-wide player needs to play a narration and describe it to the OS (Media Session). */
+export interface NarrationTrack {
+    src: string;
+    title: string;
+    /** Page the narration belongs to */
+    href?: string;
+    artist?: string;
+    /** Cover for lock screens and media notifications */
+    artwork?: string;
+    chapters?: NarrationChapter[];
+}
+
+export const PLAYBACK_RATES = [1, 1.25, 1.5, 2, 0.75] as const;
+
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/;
+
+/** `1:02:03`, `02:03` or `2:03.5` in seconds; undefined if it isn't a timestamp. */
+export function parseTimestamp(value: string) {
+    const match = value.trim().match(TIMESTAMP);
+    if (!match) return undefined;
+    const [, hours = '0', minutes, seconds] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/** `2:03`, or `1:02:03` past an hour; `--:--` while the duration is unknown. */
+export function formatTimestamp(seconds: number) {
+    if (!Number.isFinite(seconds)) return '--:--';
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/** The chapter playing at `time`, given chapters sorted by start. */
+export function chapterAt(chapters: NarrationChapter[] | undefined, time: number) {
+    return chapters?.findLast((chapter) => chapter.start <= time);
+}
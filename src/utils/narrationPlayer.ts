@@ -0,0 +1,212 @@
+// narrationPlayer.ts - 全站唯一的朗读播放器：页面切换时继续播放，记住每段音频的播放位置和倍速
+// Browser only. Module scripts run once per visit, so the one Audio object here outlives
+// View Transitions; page components subscribe to it instead of creating their own.
+import { PLAYBACK_RATES, chapterAt, type NarrationTrack } from './narration';
+
+const TRACK_KEY = 'narration:track';
+const RATE_KEY = 'narration:rate';
+const positionKey = (src: string) => `narration:position:${src}`;
+
+// Save at most this often while playing; pausing and leaving the page always save
+const SAVE_INTERVAL = 5;
+// Starting again this close to the end means the last listen finished
+const FINISHED_MARGIN = 10;
+
+type Listener = () => void;
+
+export interface NarrationPlayer {
+    audio: HTMLAudioElement;
+    readonly track: NarrationTrack | undefined;
+    isCurrent(src: string): boolean;
+    /** Switch to a track (resuming where it was left) unless it is already loaded. */
+    load(track: NarrationTrack, options?: { play?: boolean; at?: number }): void;
+    toggle(): void;
+    seek(seconds: number): void;
+    skip(seconds: number): void;
+    cycleRate(): number;
+    /** Stop and forget the current track; the mini-player hides. */
+    close(): void;
+    /** Called on every state change (track, play/pause, time, rate); returns the unsubscribe function. */
+    subscribe(listener: Listener): () => void;
+}
+
+function read<T>(key: string): T | undefined {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? undefined : (JSON.parse(value) as T);
+    } catch {
+        return undefined;
+    }
+}
+
+function write(key: string, value: unknown) {
+    try {
+        if (value === undefined) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Private mode or full storage: playback still works, it just won't resume
+    }
+}
+
+function createNarrationPlayer(): NarrationPlayer {
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    let track: NarrationTrack | undefined;
+    let lastSaved = 0;
+    const listeners = new Set<Listener>();
+    const emit = () => listeners.forEach((listener) => listener());
+
+    const rate = read<number>(RATE_KEY);
+    audio.playbackRate = PLAYBACK_RATES.includes(rate as (typeof PLAYBACK_RATES)[number]) ? rate! : 1;
+
+    function savePosition() {
+        if (!track || !Number.isFinite(audio.duration)) return;
+        lastSaved = audio.currentTime;
+        const finished = audio.ended || audio.duration - audio.currentTime < FINISHED_MARGIN;
+        write(positionKey(track.src), finished ? undefined : Math.floor(audio.currentTime));
+    }
+
+    function updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+        const session = navigator.mediaSession;
+        session.metadata = track
+            ? new MediaMetadata({
+                  title: chapterAt(track.chapters, audio.currentTime)?.title ?? track.title,
+                  artist: track.artist,
+                  album: track.title,
+                  artwork: track.artwork ? [{ src: new URL(track.artwork, location.href).href }] : [],
+              })
+            : null;
+        session.playbackState = !track ? 'none' : audio.paused ? 'paused' : 'playing';
+        if (track && Number.isFinite(audio.duration)) {
+            session.setPositionState({ duration: audio.duration, position: Math.min(audio.currentTime, audio.duration), playbackRate: audio.playbackRate });
+        }
+    }
+
+    function setActionHandlers() {
+        if (!('mediaSession' in navigator)) return;
+        const handlers: [MediaSessionAction, MediaSessionActionHandler][] = [
+            ['play', () => audio.play()],
+            ['pause', () => audio.pause()],
+            ['seekbackward', (details) => player.skip(-(details.seekOffset ?? 15))],
+            ['seekforward', (details) => player.skip(details.seekOffset ?? 30)],
+            ['seekto', (details) => details.seekTime !== undefined && player.seek(details.seekTime)],
+            // Chapter navigation, where the OS shows previous/next buttons
+            ['previoustrack', () => {
+                const chapters = track?.chapters ?? [];
+                // Within the first few seconds of a chapter, go to the one before it
+                const current = chapters.findLastIndex((chapter) => chapter.start <= audio.currentTime - 3);
+                player.seek(chapters[Math.max(current, 0)]?.start ?? 0);
+            }],
+            ['nexttrack', () => {
+                const next = track?.chapters?.find((chapter) => chapter.start > audio.currentTime);
+                if (next) player.seek(next.start);
+            }],
+        ];
+        for (const [action, handler] of handlers) {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch {
+                // Not every browser knows every action
+            }
+        }
+    }
+
+    let lastChapter: string | undefined;
+    audio.addEventListener('timeupdate', () => {
+        if (Math.abs(audio.currentTime - lastSaved) >= SAVE_INTERVAL) savePosition();
+        // Lock screens show the chapter as the title
+        const chapter = chapterAt(track?.chapters, audio.currentTime)?.title;
+        if (chapter !== lastChapter) {
+            lastChapter = chapter;
+            updateMediaSession();
+        }
+        emit();
+    });
+    for (const type of ['play', 'pause', 'ended', 'loadedmetadata', 'ratechange', 'seeked']) {
+        audio.addEventListener(type, () => {
+            if (type === 'pause' || type === 'ended' || type === 'seeked') savePosition();
+            updateMediaSession();
+            emit();
+        });
+    }
+    window.addEventListener('pagehide', savePosition);
+
+    const player: NarrationPlayer = {
+        audio,
+        get track() {
+            return track;
+        },
+        isCurrent(src) {
+            return track?.src === src;
+        },
+        load(next, { play = false, at } = {}) {
+            if (track?.src !== next.src) {
+                savePosition();
+                track = next;
+                lastSaved = 0;
+                write(TRACK_KEY, track);
+                audio.src = next.src;
+                const resumeAt = at ?? read<number>(positionKey(next.src)) ?? 0;
+                if (resumeAt > 0) {
+                    audio.addEventListener('loadedmetadata', () => (audio.currentTime = resumeAt), { once: true });
+                }
+                // Setting src resets it
+                audio.playbackRate = read<number>(RATE_KEY) ?? 1;
+                updateMediaSession();
+                emit();
+            } else if (at !== undefined) {
+                player.seek(at);
+            }
+            if (play) void audio.play();
+        },
+        toggle() {
+            if (!track) return;
+            if (audio.paused) void audio.play();
+            else audio.pause();
+        },
+        seek(seconds) {
+            const max = Number.isFinite(audio.duration) ? audio.duration : Infinity;
+            audio.currentTime = Math.min(Math.max(seconds, 0), max);
+        },
+        skip(seconds) {
+            player.seek(audio.currentTime + seconds);
+        },
+        cycleRate() {
+            const index = PLAYBACK_RATES.indexOf(audio.playbackRate as (typeof PLAYBACK_RATES)[number]);
+            const next = PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length];
+            audio.playbackRate = next;
+            write(RATE_KEY, next);
+            return next;
+        },
+        close() {
+            savePosition();
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+            track = undefined;
+            write(TRACK_KEY, undefined);
+            updateMediaSession();
+            emit();
+        },
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+
+    setActionHandlers();
+
+    // After a full reload, bring back the last track, paused at its saved position
+    const saved = read<NarrationTrack>(TRACK_KEY);
+    if (saved?.src) player.load(saved);
+
+    return player;
+}
+
+let player: NarrationPlayer | undefined;
+
+export function getNarrationPlayer() {
+    player ??= createNarrationPlayer();
+    return player;
+}
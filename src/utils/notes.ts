@@ -0,0 +1,178 @@
+// notes.ts - 闪念笔记的共用工具：永久链接、回复串、引用和按月分组
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { SITE_LANGUAGE } from '../consts';
+import { LIBRARY_TYPE_ICONS, libraryCreator, libraryItemPath } from './library';
+import { getRoutablePosts, postPath } from './posts';
+
+export type Note = CollectionEntry<'notes'>;
+
+export const NOTES_PER_PAGE = 20;
+
+export function notePath(note: Note) {
+    return `/notes/${note.slug}/`;
+}
+
+export function noteTagPath(tag: string) {
+    return `/notes/tags/${tag}/`;
+}
+
+/** `/notes/2024/01/` for the month key `2024-01` */
+export function noteMonthPath(key: string) {
+    return `/notes/${key.replace('-', '/')}/`;
+}
+
+/** Notes have no title; use the beginning of the text instead. */
+export function noteTitle(note: Note, length = 30) {
+    const text = note.body
+        // [text](url) and ![alt](src) keep only their text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[#>*_`!\[\]()]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > length ? `${text.slice(0, length)}…` : text || note.data.date.toLocaleDateString(SITE_LANGUAGE);
+}
+
+/** A post or library item quoted by a note, ready to render as a card. */
+export interface NoteQuote {
+    href: string;
+    icon: string;
+    title: string;
+    byline?: string;
+}
+
+export interface NoteContext {
+    /** The note this one replies to */
+    parent?: Note;
+    /** Direct replies, oldest first */
+    replies: Note[];
+    quote?: NoteQuote;
+}
+
+export interface NoteMonth {
+    /** `2024-01` */
+    key: string;
+    label: string;
+    notes: Note[];
+}
+
+// Checked on every build, so a typo in `replyTo` or `quote` can't leave a dead link
+function validateNotes(notes: Note[], quotes: Map<string, NoteQuote>) {
+    const bySlug = new Map<string, Note>(notes.map((note) => [note.slug, note]));
+    const problems: string[] = [];
+
+    for (const note of notes) {
+        const { replyTo, quote } = note.data;
+        if (replyTo && !bySlug.has(replyTo)) {
+            problems.push(`${note.id} replies to "${replyTo}", which is not a note`);
+        }
+        if (quote && !quotes.has(quote)) {
+            problems.push(`${note.id} quotes "${quote}", which is not a published post or library item`);
+        }
+
+        // A reply chain that comes back to the note would never end
+        const seen = new Set<string>([note.slug]);
+        for (let parent = replyTo; parent && bySlug.has(parent); parent = bySlug.get(parent)!.data.replyTo) {
+            if (seen.has(parent)) {
+                problems.push(`${note.id} is part of a reply loop`);
+                break;
+            }
+            seen.add(parent);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid notes:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+async function getQuoteTargets() {
+    const [posts, library] = await Promise.all([getRoutablePosts(), getCollection('library')]);
+    return new Map<string, NoteQuote>([
+        ...posts.map((post): [string, NoteQuote] => [
+            `posts/${post.slug}`,
+            { href: postPath(post), icon: '📝', title: post.data.title, byline: post.data.description },
+        ]),
+        ...library.map((item): [string, NoteQuote] => [
+            `library/${item.slug}`,
+            { href: libraryItemPath(item), icon: LIBRARY_TYPE_ICONS[item.data.type], title: item.data.title, byline: libraryCreator(item) },
+        ]),
+    ]);
+}
+
+let allNotes: Promise<{ notes: Note[]; contexts: Map<string, NoteContext> }> | undefined;
+
+function loadNotes() {
+    allNotes ??= (async () => {
+        const [notes, quotes] = await Promise.all([getCollection('notes'), getQuoteTargets()]);
+        validateNotes(notes, quotes);
+        notes.sort((a, b) => b.data.date.valueOf() - a.data.date.valueOf());
+
+        const bySlug = new Map<string, Note>(notes.map((note) => [note.slug, note]));
+        const contexts = new Map<string, NoteContext>(
+            notes.map((note) => [
+                note.slug,
+                {
+                    parent: note.data.replyTo ? bySlug.get(note.data.replyTo) : undefined,
+                    replies: notes.filter((reply) => reply.data.replyTo === note.slug).reverse(),
+                    quote: note.data.quote ? quotes.get(note.data.quote) : undefined,
+                },
+            ])
+        );
+        return { notes, contexts };
+    })();
+    return allNotes;
+}
+
+/** Every note, newest first. */
+export async function getNotes() {
+    return (await loadNotes()).notes;
+}
+
+/** Reply parent, replies and quote of each note, by slug. */
+export async function getNoteContexts() {
+    return (await loadNotes()).contexts;
+}
+
+/** The conversation around a note: the notes it replies to (oldest first) and every reply below it, in date order. */
+export function noteThread(note: Note, contexts: Map<string, NoteContext>) {
+    const ancestors: Note[] = [];
+    for (let parent = contexts.get(note.slug)?.parent; parent; parent = contexts.get(parent.slug)?.parent) {
+        ancestors.unshift(parent);
+    }
+
+    const descendants: Note[] = [];
+    const queue = [...(contexts.get(note.slug)?.replies ?? [])];
+    while (queue.length > 0) {
+        const reply = queue.shift()!;
+        descendants.push(reply);
+        queue.push(...(contexts.get(reply.slug)?.replies ?? []));
+    }
+    descendants.sort((a, b) => a.data.date.valueOf() - b.data.date.valueOf());
+
+    return { ancestors, descendants };
+}
+
+/** Consecutive notes of the same month, in the order given. */
+export function groupNotesByMonth(notes: Note[]): NoteMonth[] {
+    const months: NoteMonth[] = [];
+    for (const note of notes) {
+        const date = note.data.date;
+        const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const month = months.at(-1);
+        if (month?.key === key) {
+            month.notes.push(note);
+        } else {
+            months.push({ key, label: date.toLocaleDateString(SITE_LANGUAGE, { year: 'numeric', month: 'long' }), notes: [note] });
+        }
+    }
+    return months;
+}
+
+/** Tags used by notes, most used first. */
+export async function getNoteTags() {
+    const counts = new Map<string, number>();
+    for (const note of await getNotes()) {
+        for (const tag of note.data.tags ?? []) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]).map(([tag, count]) => ({ tag, count }));
+}
@@ -0,0 +1,67 @@
+// postImages.ts - 文章和作品目录下的图片：按 Markdown 引用查找原图，补充 AVIF 版本，列出作品图库
+import path from 'node:path';
+import { getImage } from 'astro:assets';
+import type { ImageMetadata } from 'astro';
+import type { CollectionEntry } from 'astro:content';
+
+/** Entries whose Markdown images get optimized (see rehype-post-images). */
+export type ImageEntry = CollectionEntry<'posts' | 'works'>;
+
+// Every image co-located with a post or work, keyed like `/src/content/posts/<dir>/<file>`
+const contentImages = import.meta.glob<ImageMetadata>('/src/content/{posts,works}/**/*.{jpg,jpeg,png,webp,gif,avif}', {
+    eager: true,
+    import: 'default',
+});
+
+/** The original behind a relative image reference in an entry, if it exists. */
+export function resolvePostImage(entry: ImageEntry, reference: string) {
+    const dir = path.posix.dirname(entry.id);
+    const key = path.posix.normalize(`/src/content/${entry.collection}/${dir}/${decodeURIComponent(reference)}`);
+    return contentImages[key] as ImageMetadata | undefined;
+}
+
+/**
+ * Images in the entry's own folder (`works/<slug>/index.md` and its files), by file name.
+ * Entries stored as a single file share their folder with other entries and get none.
+ */
+export function colocatedImages(entry: ImageEntry) {
+    const dir = path.posix.dirname(entry.id);
+    if (dir === '.') return [];
+    const prefix = `/src/content/${entry.collection}/${dir}/`;
+    return Object.entries(contentImages)
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, image]) => ({ file: key.slice(prefix.length), image }))
+        .sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true }));
+}
+
+const OPTIMIZED_IMG = /<img\s[^>]*\bdata-image-source="([^"]+)"[^>]*>/g;
+
+function attribute(tag: string, name: string) {
+    return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+}
+
+/**
+ * Wraps the images prepared by `rehype-post-images` in <picture> with an AVIF <source>
+ * next to the WebP srcset Astro already generated, using the same widths.
+ */
+export async function addAvifSources(html: string, entry: ImageEntry) {
+    const sources = new Map<string, string>();
+    for (const [tag, reference] of html.matchAll(OPTIMIZED_IMG)) {
+        const image = resolvePostImage(entry, reference.replaceAll('&amp;', '&'));
+        const srcset = attribute(tag, 'srcset');
+        if (!image || !srcset) continue;
+        const widths = [...srcset.matchAll(/\s(\d+)w/g)].map((match) => Number(match[1]));
+        const avif = await getImage({ src: image, format: 'avif', widths });
+        sources.set(tag, `<source type="image/avif" srcset="${avif.srcSet.attribute}" sizes="${attribute(tag, 'sizes') ?? ''}">`);
+    }
+    return html.replace(OPTIMIZED_IMG, (tag) => {
+        const source = sources.get(tag);
+        const img = tag.replace(/\sdata-image-source="[^"]*"/, '');
+        return source ? `<picture>${source}${img}</picture>` : img;
+    });
+}
+
+/** Drops the page-only hints (blur placeholder, source path) from rendered HTML, e.g. for feeds. */
+export function stripImageHints(html: string) {
+    return html.replace(/\s(?:data-image-source|data-placeholder)="[^"]*"|\sstyle="background-image:url\(data:[^"]*"/g, '');
+}
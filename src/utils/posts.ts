@@ -0,0 +1,124 @@
+// posts.ts - 文章发布状态：草稿 / 定时发布 / 不公开，所有页面共用同一套查询
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { DEFAULT_LOCALE, localizePath, type Alternates, type Locale } from './i18n';
+
+export type Post = CollectionEntry<'posts'>;
+
+/** Page size of /blog/ and the tag pages. */
+export const POSTS_PER_PAGE = 10;
+
+// `astro dev` previews everything that is not published yet
+const isDev = import.meta.env.DEV;
+
+export function isDraft(post: Post) {
+    return post.data.draft;
+}
+
+/** Future `pubDate`s stay hidden until a build runs after that date. */
+export function isScheduled(post: Post, now = new Date()) {
+    return post.data.pubDate.valueOf() > now.valueOf();
+}
+
+/** Posts that get a page at their URL: unlisted ones included, drafts and scheduled only in dev. */
+export function isRoutable(post: Post) {
+    return isDev || (!isDraft(post) && !isScheduled(post));
+}
+
+/** Posts that appear in listings, tag pages, feeds, the sitemap and search. */
+export function isListed(post: Post) {
+    return isRoutable(post) && !post.data.unlisted;
+}
+
+export function sortByPubDate(posts: Post[]) {
+    return posts.sort((a, b) => b.data.pubDate.valueOf() - a.data.pubDate.valueOf());
+}
+
+/** Published posts in one language (Chinese unless asked), newest first. Use this for every listing. */
+export async function getPublishedPosts(lang: Locale = DEFAULT_LOCALE) {
+    return sortByPubDate(await getCollection('posts', (post) => isListed(post) && post.data.lang === lang));
+}
+
+/** Posts that need a page built, including unlisted ones; every language unless one is given. */
+export async function getRoutablePosts(lang?: Locale) {
+    return sortByPubDate(await getCollection('posts', (post) => isRoutable(post) && (!lang || post.data.lang === lang)));
+}
+
+/** `/posts/<slug>/`, under `/en/` for English posts. */
+export function postPath(post: Post) {
+    return localizePath(`/posts/${post.slug}/`, post.data.lang);
+}
+
+// --- Translations and related works ---
+
+function validateTranslations(posts: Post[]) {
+    const bySlug = new Map<string, Post>(posts.map((post) => [post.slug, post]));
+    const seen = new Set<string>();
+    const problems: string[] = [];
+    for (const post of posts) {
+        const { translationOf, lang } = post.data;
+        if (!translationOf) continue;
+        const original = bySlug.get(translationOf);
+        if (!original) {
+            problems.push(`${post.id}: translationOf "${translationOf}" matches no post`);
+        } else if (original.data.translationOf) {
+            problems.push(`${post.id}: translationOf must name the original, but "${translationOf}" is itself a translation`);
+        } else if (original.data.lang === lang) {
+            problems.push(`${post.id}: translationOf "${translationOf}" is in the same language (${lang})`);
+        } else if (seen.has(`${translationOf}:${lang}`)) {
+            problems.push(`${post.id}: "${translationOf}" already has a ${lang} translation`);
+        }
+        seen.add(`${translationOf}:${lang}`);
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid translations:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+// A misspelled `relatedWork` would silently drop the post from the case study
+function validateRelatedWork(posts: Post[], works: CollectionEntry<'works'>[]) {
+    const slugs = new Set<string>(works.map((work) => work.slug));
+    const problems = posts
+        .filter((post) => post.data.relatedWork && !slugs.has(post.data.relatedWork))
+        .map((post) => `${post.id} has relatedWork "${post.data.relatedWork}", which is not a work`);
+    if (problems.length > 0) {
+        throw new Error(`Invalid relatedWork:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+let validated: Promise<void> | undefined;
+
+/**
+ * Checks the references between posts and to works once per build, over every post (drafts
+ * and scheduled ones included, so a typo fails before the post goes live). Every post page
+ * runs it through getPostAlternates().
+ */
+export function validatePosts() {
+    validated ??= (async () => {
+        const [posts, works] = await Promise.all([getCollection('posts'), getCollection('works')]);
+        validateTranslations(posts);
+        validateRelatedWork(posts, works);
+    })();
+    return validated;
+}
+
+let translationGroups: Promise<Map<string, Post[]>> | undefined;
+
+// Original slug → the original and its translations, among posts that have a page
+function getTranslationGroups() {
+    translationGroups ??= (async () => {
+        await validatePosts();
+        const groups = new Map<string, Post[]>();
+        for (const post of await getRoutablePosts()) {
+            const key = post.data.translationOf ?? post.slug;
+            groups.set(key, [...(groups.get(key) ?? []), post]);
+        }
+        return groups;
+    })();
+    return translationGroups;
+}
+
+/** The post's URL in every language it exists in, itself included (for hreflang and the language switcher). */
+export async function getPostAlternates(post: Post): Promise<Alternates> {
+    const group = (await getTranslationGroups()).get(post.data.translationOf ?? post.slug) ?? [post];
+    return Object.fromEntries(group.map((version) => [version.data.lang, postPath(version)]));
+}
@@ -0,0 +1,43 @@
+// readingTime.ts - 阅读时长估算：中文按字计数，英文按词计数
+// A whitespace word count treats a whole Chinese paragraph as one "word", so CJK characters
+// are counted one by one and only the remaining latin text is split into words.
+import { DEFAULT_LOCALE, useTranslations } from './i18n';
+
+const CJK_CHARS_PER_MINUTE = 400;
+const LATIN_WORDS_PER_MINUTE = 200;
+
+// Han ideographs (incl. extension A and compatibility), kana and hangul
+const CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\u3040-\u30ff\uac00-\ud7af]/g;
+
+export interface ReadingTime {
+    /** CJK characters plus latin words — what readers think of as "字数" */
+    words: number;
+    cjkChars: number;
+    latinWords: number;
+    minutes: number;
+}
+
+/** Strip Markdown syntax that isn't read aloud: code, images, link targets, HTML, markup. */
+function toPlainText(markdown: string) {
+    return markdown
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/`[^`]*`/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/[#>*_~|-]+/g, ' ');
+}
+
+export function getReadingTime(markdown: string): ReadingTime {
+    const text = toPlainText(markdown);
+    const cjkChars = text.match(CJK_PATTERN)?.length ?? 0;
+    const latinWords = text.replace(CJK_PATTERN, ' ').match(/[A-Za-z0-9][A-Za-z0-9'’.-]*/g)?.length ?? 0;
+    const minutes = Math.max(1, Math.round(cjkChars / CJK_CHARS_PER_MINUTE + latinWords / LATIN_WORDS_PER_MINUTE));
+    return { words: cjkChars + latinWords, cjkChars, latinWords, minutes };
+}
+
+/** e.g. "约 12 分钟 · 4,512 字", or "12 min read · 4,512 words" in English */
+export function formatReadingTime({ minutes, words }: ReadingTime, locale: string = DEFAULT_LOCALE) {
+    return useTranslations(locale)('post.readingTime', { minutes, words: words.toLocaleString(locale) });
+}
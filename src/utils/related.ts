@@ -0,0 +1,182 @@
+// related.ts - 上一篇/下一篇，以及按标签和正文相似度排序的“延伸阅读”，全部在构建时计算
+import { getCollection, type CollectionEntry } from 'astro:content';
+import type { Locale } from './i18n';
+import { getPublishedPosts, type Post } from './posts';
+
+const RELATED_POST_LIMIT = 3;
+const RELATED_ENTRY_LIMIT = 4;
+// Weight of the tag overlap vs. body similarity (both scaled to 0..1)
+const TAG_WEIGHT = 0.4;
+const TEXT_WEIGHT = 0.6;
+
+export interface AdjacentPosts {
+    /** The next older post */
+    previous?: Post;
+    /** The next newer post */
+    next?: Post;
+}
+
+export interface RelatedPost {
+    post: Post;
+    sharedTags: string[];
+    score: number;
+}
+
+/** Neighbours in `pubDate` order among listed posts; unlisted posts have none. */
+export async function getAdjacentPosts(post: Post): Promise<AdjacentPosts> {
+    const posts = await getPublishedPosts(post.data.lang);
+    const index = posts.findIndex((p) => p.id === post.id);
+    if (index === -1) return {};
+    return { previous: posts[index + 1], next: posts[index - 1] };
+}
+
+// --- Text Similarity ---
+
+// Chinese has no word boundaries, so CJK runs are split into overlapping bigrams;
+// latin text is split into lower-cased words
+const CJK_RUN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const LATIN_WORD = /[a-z][a-z0-9'-]+/g;
+
+function plainText(markdown: string) {
+    return markdown
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ');
+}
+
+function tokenize(markdown: string) {
+    const text = plainText(markdown).toLowerCase();
+    const tokens: string[] = text.match(LATIN_WORD) ?? [];
+    for (const run of text.match(CJK_RUN) ?? []) {
+        if (run.length === 1) tokens.push(run);
+        for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+    }
+    return tokens;
+}
+
+type Vector = Map<string, number>;
+
+function termFrequencies(tokens: string[]) {
+    const tf: Vector = new Map();
+    for (const token of tokens) tf.set(token, (tf.get(token) ?? 0) + 1);
+    return tf;
+}
+
+function inverseFrequencies(documents: Vector[]) {
+    const df = new Map<string, number>();
+    for (const doc of documents) {
+        for (const term of doc.keys()) df.set(term, (df.get(term) ?? 0) + 1);
+    }
+    const idf = new Map<string, number>();
+    for (const [term, count] of df) idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+    return idf;
+}
+
+function tfidf(tf: Vector, idf: Map<string, number>) {
+    const vector: Vector = new Map();
+    let norm = 0;
+    for (const [term, count] of tf) {
+        const weight = (1 + Math.log(count)) * (idf.get(term) ?? 1);
+        vector.set(term, weight);
+        norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+}
+
+function cosine(a: Vector, b: Vector) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [term, weight] of small) sum += weight * (large.get(term) ?? 0);
+    return sum;
+}
+
+// --- Index ---
+
+interface RelatedIndex {
+    posts: Post[];
+    vectors: Map<string, Vector>;
+    /** Rarer tags say more about a post than the genre tags almost every post carries */
+    tagWeights: Map<string, number>;
+}
+
+const relatedIndexes = new Map<Locale, Promise<RelatedIndex>>();
+
+// Built once per language and shared by every post page; posts only point to their own language
+function getRelatedIndex(lang: Locale) {
+    const cached = relatedIndexes.get(lang);
+    if (cached) return cached;
+    const relatedIndex = (async () => {
+        const posts = await getPublishedPosts(lang);
+        const frequencies = posts.map((post) => termFrequencies(tokenize(`${post.data.title}\n${post.body}`)));
+        const idf = inverseFrequencies(frequencies);
+        const vectors = new Map(posts.map((post, i) => [post.id, tfidf(frequencies[i], idf)]));
+
+        const tagCounts = new Map<string, number>();
+        for (const tag of posts.flatMap((post) => post.data.tags ?? [])) {
+            tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1);
+        }
+        const tagWeights = new Map(
+            [...tagCounts].map(([tag, count]) => [tag, Math.log((1 + posts.length) / count)])
+        );
+        return { posts, vectors, tagWeights };
+    })();
+    relatedIndexes.set(lang, relatedIndex);
+    return relatedIndex;
+}
+
+function sharedTags(a: string[] = [], b: string[] = []) {
+    return a.filter((tag) => b.includes(tag));
+}
+
+function tagScore(post: Post, shared: string[], tagWeights: Map<string, number>) {
+    const weight = (tags: string[]) => tags.reduce((sum, tag) => sum + (tagWeights.get(tag) ?? 0), 0);
+    const total = weight(post.data.tags ?? []);
+    return total > 0 ? weight(shared) / total : 0;
+}
+
+/** Other posts ranked by weighted shared tags and body similarity. */
+export async function getRelatedPosts(post: Post, limit = RELATED_POST_LIMIT): Promise<RelatedPost[]> {
+    const { posts, vectors, tagWeights } = await getRelatedIndex(post.data.lang);
+    // Unlisted posts are not in the index, so vectorize them on demand
+    const vector = vectors.get(post.id) ?? tfidf(termFrequencies(tokenize(`${post.data.title}\n${post.body}`)), new Map());
+
+    return posts
+        .filter((candidate) => candidate.id !== post.id)
+        .map((candidate) => {
+            const shared = sharedTags(post.data.tags, candidate.data.tags);
+            const score = TAG_WEIGHT * tagScore(post, shared, tagWeights) + TEXT_WEIGHT * cosine(vector, vectors.get(candidate.id)!);
+            return { post: candidate, sharedTags: shared, score };
+        })
+        .filter((related) => related.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// --- Other Collections ---
+
+export type RelatedEntry =
+    | { collection: 'notes'; entry: CollectionEntry<'notes'>; sharedTags: string[] }
+    | { collection: 'library'; entry: CollectionEntry<'library'>; sharedTags: string[] };
+
+/** Notes and library items sharing at least one tag with the post, most overlap (then newest) first. */
+export async function getRelatedEntries(post: Post, limit = RELATED_ENTRY_LIMIT): Promise<RelatedEntry[]> {
+    const tags = post.data.tags ?? [];
+    if (tags.length === 0) return [];
+
+    const [notes, library] = await Promise.all([getCollection('notes'), getCollection('library')]);
+    const entries: RelatedEntry[] = [
+        ...notes.map((entry) => ({ collection: 'notes' as const, entry, sharedTags: sharedTags(tags, entry.data.tags) })),
+        ...library.map((entry) => ({ collection: 'library' as const, entry, sharedTags: sharedTags(tags, entry.data.tags) })),
+    ];
+
+    return entries
+        .filter((related) => related.sharedTags.length > 0)
+        .sort((a, b) =>
+            b.sharedTags.length - a.sharedTags.length || b.entry.data.date.valueOf() - a.entry.data.date.valueOf()
+        )
+        .slice(0, limit);
+}
@@ -0,0 +1,38 @@
+// search.ts - Pagefind 筛选项的取值与显示名称，页面标记和 /search 页共用
+
+/** Values of the `collection` filter. */
+export type SearchCollection = 'posts' | 'notes' | 'works' | 'library';
+
+/** Filter keys emitted by SearchFacets.astro; also the query-string names on /search. */
+export const FILTER_KEYS = ['collection', 'type', 'tag', 'year'] as const;
+export type FilterKey = (typeof FILTER_KEYS)[number];
+
+export const FILTER_LABELS: Record<FilterKey, string> = {
+    collection: '栏目',
+    type: '收藏类型',
+    tag: '标签',
+    year: '年份',
+};
+
+export const COLLECTION_LABELS: Record<SearchCollection, string> = {
+    posts: '文章',
+    notes: '笔记',
+    works: '作品',
+    library: '收藏',
+};
+
+export const LIBRARY_TYPE_LABELS: Record<string, string> = {
+    music: '音乐',
+    video: '视频',
+    book: '图书',
+    podcast: '播客',
+    film: '电影',
+    article: '文章',
+};
+
+/** Display name of a filter value, e.g. `collection=posts` → 文章. */
+export function filterValueLabel(key: FilterKey, value: string) {
+    if (key === 'collection') return COLLECTION_LABELS[value as SearchCollection] ?? value;
+    if (key === 'type') return LIBRARY_TYPE_LABELS[value] ?? value;
+    return value;
+}
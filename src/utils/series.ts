@@ -0,0 +1,101 @@
+// series.ts - 系列文章：按语言和 series.name 归组、按 series.order 排序，并在构建时检查编号
+import { getCollection } from 'astro:content';
+import { slug as githubSlug } from 'github-slugger';
+import { DEFAULT_LOCALE, type Locale } from './i18n';
+import { getPublishedPosts, type Post } from './posts';
+
+export interface Series {
+    name: string;
+    /** URL segment under /series/ */
+    slug: string;
+    description?: string;
+    /** Translations keep the series name, so each language has its own series */
+    lang: Locale;
+    /** Listed parts, ordered by `series.order` */
+    posts: Post[];
+    /** Highest listed part number, so an unlisted part in between does not shift the count */
+    total: number;
+}
+
+export function seriesSlug(name: string) {
+    return githubSlug(name);
+}
+
+function groupBy<K>(posts: Post[], key: (post: Post) => K) {
+    const groups = new Map<K, Post[]>();
+    for (const post of posts) {
+        const k = key(post);
+        groups.set(k, [...(groups.get(k) ?? []), post]);
+    }
+    return groups;
+}
+
+function byOrder(a: Post, b: Post) {
+    return a.data.series!.order - b.data.series!.order;
+}
+
+function toSeries(name: string, lang: Locale, parts: Post[], description?: string): Series {
+    const posts = parts.sort(byOrder);
+    return {
+        name,
+        slug: seriesSlug(name),
+        // The description can live on any part; the lowest-numbered one wins
+        description: posts.find((post) => post.data.series!.description)?.data.series!.description ?? description,
+        lang,
+        posts,
+        total: posts.at(-1)!.data.series!.order,
+    };
+}
+
+// Checked against every post, drafts included, so an unpublished part 2 is not reported as a gap
+function validateSeries(posts: Post[]) {
+    const groups = groupBy(posts.filter((post) => post.data.series), (post) => `${post.data.series!.name} (${post.data.lang})`);
+    const problems: string[] = [];
+
+    for (const [name, parts] of groups) {
+        const byNumber = groupBy(parts, (post) => post.data.series!.order);
+        for (const [order, duplicates] of byNumber) {
+            if (duplicates.length > 1) {
+                problems.push(`"${name}" part ${order} is used by ${duplicates.map((post) => post.id).join(', ')}`);
+            }
+        }
+        const max = Math.max(...byNumber.keys());
+        const missing = Array.from({ length: max }, (_, i) => i + 1).filter((order) => !byNumber.has(order));
+        if (missing.length > 0) {
+            problems.push(`"${name}" is missing part ${missing.join(', ')}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid series numbering:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+const allSeries = new Map<Locale, Promise<Series[]>>();
+let validated: Promise<void> | undefined;
+
+/** Every series in one language (Chinese unless asked) with at least one listed part, most recently updated first. */
+export function getAllSeries(lang: Locale = DEFAULT_LOCALE) {
+    if (!allSeries.has(lang)) {
+        allSeries.set(lang, (async () => {
+            validated ??= getCollection('posts').then(validateSeries);
+            await validated;
+
+            const posts = (await getPublishedPosts(lang)).filter((post) => post.data.series);
+            // Posts are newest first, so series come out ordered by their latest part
+            const groups = groupBy(posts, (post) => post.data.series!.name);
+            return [...groups].map(([name, parts]) => toSeries(name, lang, parts));
+        })());
+    }
+    return allSeries.get(lang)!;
+}
+
+/** The series a post belongs to, with the post itself included even when it is not listed (dev previews, unlisted). */
+export async function getPostSeries(post: Post): Promise<Series | undefined> {
+    if (!post.data.series) return undefined;
+    const series = (await getAllSeries(post.data.lang)).find((s) => s.name === post.data.series!.name);
+    if (series?.posts.some((part) => part.id === post.id)) return series;
+
+    const { name, description } = post.data.series;
+    return toSeries(name, post.data.lang, [...(series?.posts ?? []), post], series?.description ?? description);
+}
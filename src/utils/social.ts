@@ -0,0 +1,162 @@
+// social.ts - 分享卡片：文章首图，或构建时用站点字体生成的 PNG
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import satori from 'satori';
+import sharp from 'sharp';
+import { getImage } from 'astro:assets';
+import type { CollectionEntry } from 'astro:content';
+import { SITE_TITLE } from '../consts';
+import { resolvePostImage } from './postImages';
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+/** Stable URL of the generated card for a post without images. */
+export function socialCardPath(post: CollectionEntry<'posts'>) {
+    return `/og/posts/${post.slug}.png`;
+}
+
+function firstImageReference(post: CollectionEntry<'posts'>) {
+    return post.body.match(/!\[[^\]]*\]\(\s*<?([^)\s>]+)>?/)?.[1];
+}
+
+/** The post's first image, or `undefined` when it has none we can use. */
+export async function getPostImage(post: CollectionEntry<'posts'>) {
+    const reference = firstImageReference(post);
+    if (!reference) return undefined;
+    if (/^https?:\/\//.test(reference)) return reference;
+
+    const image = resolvePostImage(post, reference);
+    if (!image) return undefined;
+
+    // Social platforms want a reasonably sized JPEG rather than the original
+    const optimized = await getImage({ src: image, width: Math.min(image.width, CARD_WIDTH), format: 'jpg' });
+    return optimized.src;
+}
+
+/** Image for og:image — the first image in the post, else its generated card. */
+export async function getPostSocialImage(post: CollectionEntry<'posts'>) {
+    return (await getPostImage(post)) ?? socialCardPath(post);
+}
+
+// --- Card Rendering ---
+
+interface FontFace {
+    file: string;
+    ranges: [number, number][];
+}
+
+// Fontsource splits CJK fonts into ~100 unicode-range subsets; only load the ones we need
+async function readFontFaces(cssFile: string): Promise<FontFace[]> {
+    const css = await fs.readFile(cssFile, 'utf-8');
+    const faces: FontFace[] = [];
+    for (const block of css.split('@font-face').slice(1)) {
+        const file = block.match(/url\(\.\/files\/([^)]+\.woff)\)/)?.[1];
+        if (!file) continue;
+        const ranges = (block.match(/unicode-range:\s*([^;]+);/)?.[1] ?? 'U+0-10FFFF')
+            .split(',')
+            .map((range) => {
+                const [start, end = start] = range.trim().replace(/^U\+/i, '').split('-');
+                return [parseInt(start, 16), parseInt(end, 16)] as [number, number];
+            });
+        faces.push({ file: path.join(path.dirname(cssFile), 'files', file), ranges });
+    }
+    return faces;
+}
+
+// Satori does not fall back between faces that share a family name, so every subset
+// becomes its own family (`Noto Serif SC 87`) and the card lists them all in order
+async function loadFonts(text: string) {
+    const codePoints = [...new Set([...text].map((char) => char.codePointAt(0)!))];
+    const sources = [
+        { name: 'Playfair Display', weight: 700, css: 'node_modules/@fontsource/playfair-display/700.css' },
+        { name: 'Noto Serif SC', weight: 700, css: 'node_modules/@fontsource/noto-serif-sc/700.css' },
+        { name: 'Noto Serif SC', weight: 400, css: 'node_modules/@fontsource/noto-serif-sc/400.css' },
+    ] as const;
+
+    const fonts = [];
+    const families: string[] = [];
+    for (const source of sources) {
+        const faces = await readFontFaces(path.resolve(source.css));
+        const needed = faces.filter((face) =>
+            codePoints.some((cp) => face.ranges.some(([start, end]) => cp >= start && cp <= end))
+        );
+        for (const face of needed) {
+            const subset = path.basename(face.file).match(/-(\d+|[a-z-]+)-\d{3}-normal\.woff$/)?.[1] ?? 'all';
+            const family = `${source.name} ${subset}`;
+            if (!families.includes(family)) families.push(family);
+            fonts.push({ name: family, weight: source.weight, style: 'normal' as const, data: await fs.readFile(face.file) });
+        }
+    }
+    return { fonts, fontFamily: families.map((family) => `"${family}"`).join(', ') };
+}
+
+interface SocialCard {
+    title: string;
+    description?: string;
+    /** Defaults to the 1200×630 share card size */
+    width?: number;
+    height?: number;
+}
+
+/** Render a PNG card (1200×630 unless sized) with the title and description in the site fonts. */
+export async function renderSocialCard({ title, description, width = CARD_WIDTH, height = CARD_HEIGHT }: SocialCard) {
+    const footer = SITE_TITLE;
+    const { fonts, fontFamily } = await loadFonts(`${title}${description ?? ''}${footer}`);
+
+    const svg = await satori(
+        {
+            type: 'div',
+            props: {
+                style: {
+                    width: '100%',
+                    height: '100%',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    justifyContent: 'space-between',
+                    padding: '72px 80px',
+                    backgroundColor: '#FDFBF9',
+                    borderTop: '16px solid #D00000',
+                    color: '#1A1A1A',
+                    fontFamily,
+                },
+                children: [
+                    {
+                        type: 'div',
+                        props: {
+                            style: { display: 'flex', flexDirection: 'column', gap: '28px' },
+                            children: [
+                                {
+                                    type: 'div',
+                                    props: {
+                                        style: { fontSize: title.length > 24 ? 56 : 68, fontWeight: 700, lineHeight: 1.25 },
+                                        children: title,
+                                    },
+                                },
+                                description
+                                    ? {
+                                        type: 'div',
+                                        props: {
+                                            style: { fontSize: 32, fontWeight: 400, color: '#555555', lineHeight: 1.5 },
+                                            children: description,
+                                        },
+                                    }
+                                    : null,
+                            ].filter(Boolean),
+                        },
+                    },
+                    {
+                        type: 'div',
+                        props: {
+                            style: { display: 'flex', fontSize: 28, fontWeight: 700, color: '#D00000' },
+                            children: footer,
+                        },
+                    },
+                ],
+            },
+        },
+        { width, height, fonts }
+    );
+
+    return new Uint8Array(await sharp(Buffer.from(svg)).png().toBuffer());
+}
@@ -0,0 +1,227 @@
+// stats.ts - 内容统计：文章、笔记、收藏和作品的汇总数据，供 /stats 页面和 /stats.json 使用
+import { LIBRARY_TYPES, getLibraryItems, type LibraryStatus, type LibraryType } from './library';
+import { getNotes } from './notes';
+import { getRoutablePosts, isListed, postPath, type Post } from './posts';
+import { getReadingTime } from './readingTime';
+import { getWorks } from './works';
+import { LOCALES, type Locale } from './i18n';
+
+/** How many tags the co-occurrence matrix shows */
+export const COOCCURRENCE_TAGS = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface MonthCount {
+    /** `2024-01` */
+    month: string;
+    count: number;
+}
+
+export interface TagCount {
+    tag: string;
+    posts: number;
+    notes: number;
+    library: number;
+    total: number;
+}
+
+export interface ContentStats {
+    generatedAt: string;
+    posts: {
+        /** Built posts, unlisted ones included */
+        total: number;
+        listed: number;
+        byLanguage: Record<Locale, number>;
+        /** Every month from the first post to the last, empty months included */
+        perMonth: MonthCount[];
+        cjkChars: number;
+        latinWords: number;
+        /** CJK characters plus latin words, as shown on posts */
+        averageWords: number;
+        longest?: { path: string; title: string; words: number };
+    };
+    audio: {
+        posts: number;
+        share: number;
+        /** Seconds, over the posts whose duration is known */
+        totalDuration: number;
+        withTranscript: number;
+    };
+    tags: {
+        /** Most used first */
+        frequency: TagCount[];
+        /** The most used tags and how often each pair appears on the same post */
+        cooccurrence: { tags: string[]; matrix: number[][] };
+    };
+    notes: {
+        total: number;
+        perMonth: MonthCount[];
+        replies: number;
+    };
+    library: {
+        total: number;
+        byType: Record<LibraryType, number>;
+        byStatus: Record<LibraryStatus | 'none', number>;
+        /** Index 0 is unrated, then 1 to 5 stars (half stars round down) */
+        byRating: number[];
+        averageRating?: number;
+    };
+    works: {
+        total: number;
+        active: number;
+        archived: number;
+    };
+    publishing: {
+        /** Posts with an `importedAt` date, i.e. written by the importer */
+        imported: number;
+        /** Imported after their pubDate (old articles brought over), left out of the average */
+        backdated: number;
+        /** Days from import to pubDate */
+        averageDays?: number;
+        medianDays?: number;
+    };
+}
+
+// In UTC, like the archive: pubDate is a bare date, so local time would shift it with the build machine
+const monthKey = (date: Date) => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+// Zero-filled, so the chart's x axis is real time
+function countPerMonth(dates: Date[]): MonthCount[] {
+    if (dates.length === 0) return [];
+    const counts = new Map<string, number>();
+    for (const date of dates) counts.set(monthKey(date), (counts.get(monthKey(date)) ?? 0) + 1);
+
+    const sorted = [...dates].sort((a, b) => a.valueOf() - b.valueOf());
+    const months: MonthCount[] = [];
+    const cursor = new Date(Date.UTC(sorted[0].getUTCFullYear(), sorted[0].getUTCMonth(), 1));
+    const last = monthKey(sorted.at(-1)!);
+    for (;;) {
+        const month = monthKey(cursor);
+        months.push({ month, count: counts.get(month) ?? 0 });
+        if (month === last) return months;
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+}
+
+function countTags(posts: Post[], notes: { data: { tags?: string[] } }[], library: { data: { tags?: string[] } }[]) {
+    const counts = new Map<string, TagCount>();
+    const add = (entries: { data: { tags?: string[] } }[], key: 'posts' | 'notes' | 'library') => {
+        for (const entry of entries) {
+            for (const tag of entry.data.tags ?? []) {
+                const count = counts.get(tag) ?? { tag, posts: 0, notes: 0, library: 0, total: 0 };
+                count[key]++;
+                count.total++;
+                counts.set(tag, count);
+            }
+        }
+    };
+    add(posts, 'posts');
+    add(notes, 'notes');
+    add(library, 'library');
+    return [...counts.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+}
+
+// Pairs are counted on posts only: notes and library items carry one or two tags at most
+function cooccurrence(posts: Post[], tags: string[]) {
+    const index = new Map(tags.map((tag, i) => [tag, i]));
+    const matrix = tags.map(() => tags.map(() => 0));
+    for (const post of posts) {
+        const indices = (post.data.tags ?? []).map((tag) => index.get(tag)).filter((i) => i !== undefined);
+        for (const a of indices) {
+            for (const b of indices) matrix[a][b]++;
+        }
+    }
+    return { tags, matrix };
+}
+
+function publishingDelay(posts: Post[]): ContentStats['publishing'] {
+    const delays: number[] = [];
+    let imported = 0;
+    for (const post of posts) {
+        const { importedAt } = post.data;
+        if (!importedAt) continue;
+        imported++;
+        // pubDate is usually a bare date (midnight UTC), so a post published the day it was imported counts as 0 days
+        const days = (post.data.pubDate.valueOf() - importedAt.valueOf()) / DAY_MS;
+        if (days > -1) delays.push(Math.max(days, 0));
+    }
+    delays.sort((a, b) => a - b);
+    const round = (days: number) => Math.round(days * 10) / 10;
+    return {
+        imported,
+        backdated: imported - delays.length,
+        averageDays: delays.length ? round(delays.reduce((sum, days) => sum + days, 0) / delays.length) : undefined,
+        medianDays: delays.length ? round((delays[Math.floor((delays.length - 1) / 2)] + delays[Math.floor(delays.length / 2)]) / 2) : undefined,
+    };
+}
+
+let stats: Promise<ContentStats> | undefined;
+
+/** Everything on /stats, computed once per build. */
+export function getContentStats() {
+    stats ??= (async (): Promise<ContentStats> => {
+        const [posts, notes, library, works] = await Promise.all([
+            getRoutablePosts(),
+            getNotes(),
+            getLibraryItems(),
+            getWorks(),
+        ]);
+
+        const readingTimes = posts.map((post) => ({ post, ...getReadingTime(post.body) }));
+        const longest = readingTimes.reduce<(typeof readingTimes)[number] | undefined>((max, entry) => (!max || entry.words > max.words ? entry : max), undefined);
+        const totalWords = readingTimes.reduce((sum, { words }) => sum + words, 0);
+
+        const withAudio = posts.filter((post) => post.data.audioUrl);
+        const frequency = countTags(posts, notes, library);
+        const topTags = frequency.filter((count) => count.posts > 0).slice(0, COOCCURRENCE_TAGS).map((count) => count.tag);
+
+        const ratings = library.map((item) => item.data.rating).filter((rating) => rating !== undefined);
+        const byRating = [0, 0, 0, 0, 0, 0];
+        for (const item of library) byRating[Math.floor(item.data.rating ?? 0)]++;
+        const byStatus: ContentStats['library']['byStatus'] = { reading: 0, finished: 0, wishlist: 0, none: 0 };
+        for (const item of library) byStatus[item.data.status ?? 'none']++;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            posts: {
+                total: posts.length,
+                listed: posts.filter(isListed).length,
+                byLanguage: Object.fromEntries(LOCALES.map((lang) => [lang, posts.filter((post) => post.data.lang === lang).length])) as Record<Locale, number>,
+                perMonth: countPerMonth(posts.map((post) => post.data.pubDate)),
+                cjkChars: readingTimes.reduce((sum, { cjkChars }) => sum + cjkChars, 0),
+                latinWords: readingTimes.reduce((sum, { latinWords }) => sum + latinWords, 0),
+                averageWords: posts.length ? Math.round(totalWords / posts.length) : 0,
+                longest: longest && { path: postPath(longest.post), title: longest.post.data.title, words: longest.words },
+            },
+            audio: {
+                posts: withAudio.length,
+                share: posts.length ? withAudio.length / posts.length : 0,
+                totalDuration: Math.round(withAudio.reduce((sum, post) => sum + (post.data.audioDuration ?? 0), 0)),
+                withTranscript: withAudio.filter((post) => post.data.transcript).length,
+            },
+            tags: {
+                frequency,
+                cooccurrence: cooccurrence(posts, topTags),
+            },
+            notes: {
+                total: notes.length,
+                perMonth: countPerMonth(notes.map((note) => note.data.date)),
+                replies: notes.filter((note) => note.data.replyTo).length,
+            },
+            library: {
+                total: library.length,
+                byType: Object.fromEntries(LIBRARY_TYPES.map((type) => [type, library.filter((item) => item.data.type === type).length])) as Record<LibraryType, number>,
+                byStatus,
+                byRating,
+                averageRating: ratings.length ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10 : undefined,
+            },
+            works: {
+                total: works.length,
+                active: works.filter((work) => work.data.status === 'active').length,
+                archived: works.filter((work) => work.data.status === 'archived').length,
+            },
+            publishing: publishingDelay(posts),
+        };
+    })();
+    return stats;
+}
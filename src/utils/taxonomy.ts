@@ -0,0 +1,28 @@
+// taxonomy.ts - 标签体系：规范标签、别名与分组（数据见 src/data/taxonomy.json）
+import taxonomy from '../data/taxonomy.json';
+
+export type TagGroup = keyof typeof taxonomy.groups;
+
+export interface TagDefinition {
+    name: string;
+    group: TagGroup;
+    description: string;
+    aliases: string[];
+}
+
+export const tagGroups = taxonomy.groups;
+export const tagDefinitions = taxonomy.tags as TagDefinition[];
+export const defaultTag = taxonomy.defaultTag;
+
+// Lookup is case-insensitive so "Nvidia" / "nvidia" / "英伟达" all resolve to "NVIDIA"
+const lookup = new Map<string, TagDefinition>();
+for (const def of tagDefinitions) {
+    for (const key of [def.name, ...def.aliases]) {
+        lookup.set(key.trim().toLowerCase(), def);
+    }
+}
+
+/** Resolve a tag or alias to its canonical definition, `undefined` if unknown. */
+export function resolveTag(tag: string): TagDefinition | undefined {
+    return lookup.get(tag.trim().toLowerCase());
+}
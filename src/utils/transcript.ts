@@ -0,0 +1,92 @@
+// transcript.ts - 朗读文字稿：读取文章目录下的 WebVTT 或带时间戳的 Markdown，切成可跳转的段落
+import path from 'node:path';
+import { createMarkdownProcessor, type MarkdownProcessor } from '@astrojs/markdown-remark';
+import type { Post } from './posts';
+import { parseTimestamp } from './narration';
+
+export interface TranscriptCue {
+    /** Seconds from the start */
+    start: number;
+    /** Start of the next cue, or the cue's own end time in WebVTT */
+    end?: number;
+    html: string;
+}
+
+// Transcripts co-located with posts, keyed like `/src/content/posts/<dir>/<file>`
+const transcripts = import.meta.glob<string>(['/src/content/posts/**/*.vtt', '/src/content/posts/**/_*.md'], {
+    eager: true,
+    query: '?raw',
+    import: 'default',
+});
+
+const escapeHtml = (text: string) =>
+    text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// `00:01:02.500 --> 00:01:05.000 align:start`
+const VTT_TIMING = /^(\S+)\s+-->\s+(\S+)/;
+
+function parseVtt(text: string): TranscriptCue[] {
+    const cues: TranscriptCue[] = [];
+    for (const block of text.replace(/\r\n/g, '\n').split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex((line) => VTT_TIMING.test(line));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+        const [, from, to] = lines[timingIndex].match(VTT_TIMING)!;
+        const start = parseTimestamp(from);
+        if (start === undefined) continue;
+        const body = lines
+            .slice(timingIndex + 1)
+            .join(' ')
+            // <v Speaker>text → Speaker: text; other cue tags are dropped
+            .replace(/<v(?:\.[\w.]+)?\s+([^>]+)>/g, '$1: ')
+            .replace(/<[^>]+>/g, '')
+            .trim();
+        if (body) cues.push({ start, end: parseTimestamp(to), html: escapeHtml(body) });
+    }
+    return cues;
+}
+
+// `[12:34] text`, also `[1:02:03]` or a bare `12:34 text` at the start of a paragraph
+const PARAGRAPH_TIMESTAMP = /^\[?((?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?)\]?\s+/;
+
+let processor: Promise<MarkdownProcessor> | undefined;
+
+async function parseMarkdown(text: string): Promise<TranscriptCue[]> {
+    processor ??= createMarkdownProcessor();
+    const { render } = await processor;
+
+    // A paragraph without a timestamp continues the one before it
+    const sections: { start: number; markdown: string[] }[] = [];
+    const body = text.replace(/\r\n/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '');
+    for (const paragraph of body.split(/\n{2,}/).map((p) => p.trim()).filter(Boolean)) {
+        const match = paragraph.match(PARAGRAPH_TIMESTAMP);
+        const start = match ? parseTimestamp(match[1]) : undefined;
+        if (start !== undefined) {
+            sections.push({ start, markdown: [paragraph.slice(match![0].length)] });
+        } else if (sections.length > 0) {
+            sections.at(-1)!.markdown.push(paragraph);
+        }
+    }
+
+    return Promise.all(
+        sections.map(async ({ start, markdown }) => ({ start, html: (await render(markdown.join('\n\n'))).code }))
+    );
+}
+
+/**
+ * The post's `transcript`, cut into cues in time order, each ending where the next begins.
+ * Throws when the file is missing, so a typo fails the build instead of dropping the transcript.
+ */
+export async function loadTranscript(post: Post): Promise<TranscriptCue[] | undefined> {
+    const reference = post.data.transcript;
+    if (!reference) return undefined;
+
+    const key = path.posix.normalize(`/src/content/posts/${path.posix.dirname(post.id)}/${reference}`);
+    const text = transcripts[key];
+    if (text === undefined) {
+        throw new Error(`${post.id}: transcript "${reference}" not found (Markdown transcripts must start with "_")`);
+    }
+
+    const cues = (reference.endsWith('.vtt') ? parseVtt(text) : await parseMarkdown(text)).sort((a, b) => a.start - b.start);
+    return cues.map((cue, index) => ({ ...cue, end: cues[index + 1]?.start ?? cue.end }));
+}
@@ -0,0 +1,53 @@
+// works.ts - 作品集：详情页路径、项目时间线和相关文章
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { getPublishedPosts, validatePosts } from './posts';
+
+export type Work = CollectionEntry<'works'>;
+export type WorkStatus = Work['data']['status'];
+
+export const WORK_STATUS_LABELS: Record<WorkStatus, string> = {
+    active: '进行中',
+    archived: '已归档',
+};
+
+export function workPath(work: Work) {
+    return `/works/${work.slug}/`;
+}
+
+/** `2023.03 – 至今`, or undefined without a `startDate`. */
+export function workPeriod(work: Work) {
+    const { startDate, endDate, status } = work.data;
+    if (!startDate) return undefined;
+    const format = (date: Date) => `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const start = format(startDate);
+    if (endDate) return format(endDate) === start ? start : `${start} – ${format(endDate)}`;
+    return status === 'active' ? `${start} – 至今` : start;
+}
+
+/** Newest first, by `date`. */
+export async function getWorks() {
+    return (await getCollection('works')).sort((a, b) => b.data.date.valueOf() - a.data.date.valueOf());
+}
+
+/** Works with a `startDate`, in the order they started (most recent first). */
+export function workTimeline(works: Work[]) {
+    return works
+        .filter((work) => work.data.startDate)
+        .sort((a, b) => b.data.startDate!.valueOf() - a.data.startDate!.valueOf());
+}
+
+/**
+ * Published posts about a work: those naming it in `relatedWork` first, then those sharing
+ * one of its tags, each group newest first.
+ */
+export async function getWorkPosts(work: Work) {
+    await validatePosts();
+    const posts = await getPublishedPosts();
+
+    const tags = new Set((work.data.tags ?? []).map((tag) => tag.toLowerCase()));
+    const named = posts.filter((post) => post.data.relatedWork === work.slug);
+    const tagged = posts.filter(
+        (post) => !named.includes(post) && post.data.tags?.some((tag) => tags.has(tag.toLowerCase()))
+    );
+    return [...named, ...tagged];
+}